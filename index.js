@@ -11,27 +11,97 @@ const TICK_RATE = 10; // 100ms ticks
 const WORLD_W = 951; // tiles (width)
 const WORLD_H = 288; // tiles (height)
 const VIEW_RADIUS = 12; // tiles around player
-const SAVE_PATH = './data/world.json';
+const SAVE_DIR = './data';
+const SAVE_PATH = `${SAVE_DIR}/world.json`; // legacy single-file save (format v1)
+const SAVE_META_PATH = `${SAVE_DIR}/meta.json`;
+const SAVE_CHUNK_DIR = `${SAVE_DIR}/chunks`;
+const SAVE_VERSION = 3;
 const SAVE_INTERVAL_MS = 5000;
+const MINE_MS_PER_HARDNESS = 250; // bare-hand mining time per point of tile hardness
+const STATION_RANGE = 3; // tiles from a crafting station
+const CREATURE_TEMPERAMENTS = ['passive', 'skittish', 'defensive', 'aggressive'];
+const DEATH_CHEST_GRACE_MS = 60 * 1000; // death-drop chests are owner-only for this long
+const DEATH_CHEST_TTL_MS = 10 * 60 * 1000; // ...and vanish this long after turning public
+const CHEST_MODES = ['private', 'team', 'public'];
+const TRADE_RANGE = 8; // tiles between trading players
+const TRADE_TTL_MS = 60 * 1000;
+const MAX_OPEN_TRADES = 5; // open offers per player
+const MAX_FACTION_MEMBERS = 20;
+const MAX_CLAIMS = 3; // per player
+const CLAIM_MAX_AREA = 48 * 48;
+const CLAIM_RANGE = 24; // tiles from the player to the nearest claim edge
+const VILLAGE_PROTECT_RADIUS = 12;
+const SPAWN_PROTECT_RADIUS = 4;
+const SPAWN_PROTECT_MS = 7 * 24 * 60 * 60 * 1000; // spawn zones lapse after a week away
+const ZONE_CACHE_MS = 60 * 1000; // protected zones are rebuilt at least this often
+const CHUNK_SIZE = 32; // tiles per chunk side
+const CHUNKS_X = Math.ceil(WORLD_W / CHUNK_SIZE);
+const CHUNKS_Y = Math.ceil(WORLD_H / CHUNK_SIZE);
 
 const app = express();
 app.use(cors());
 app.use(bodyParser.json());
 
-// Tile types
-const TILE = {
-  AIR: 0,
-  DIRT: 1,
-  STONE: 2,
-  ORE: 3,
-  TREE: 4,
-  GRASS: 5,
-  SKY: 6,
-};
+// Tile types (name -> id), filled from the tile registry in defs.json
+const TILE = {};
+let TILE_DEFS = []; // id -> {name, id, solid, hardness, minTier, drops, placedBy, vein, gen, station, container, light}
 
-// Item defs (loaded from defs.json)
+// Item and tile defs (loaded from defs.json)
 const DEF_PATH = './defs.json';
 let ITEM_DEFS = {
+  currency: 'coin',
+  shops: {
+    general: {
+      spread: 0.6,
+      restockMs: 30000,
+      funds: 100,
+      items: {
+        wood: { price: 2, target: 60 },
+        stone: { price: 2, target: 60 },
+        ore: { price: 6, target: 30 },
+      },
+    },
+  },
+  creatures: {
+    boar: {
+      hp: 20,
+      speed: 0.5,
+      habitat: 'surface',
+      temperament: 'defensive',
+      damage: 4,
+      cooldownMs: 1200,
+      loot: [{ item: 'meat', count: 1 }],
+      initial: 50,
+      cap: { total: 60, perRegion: 8 },
+      breed: { chance: 0.0005, cooldownMs: 120000 },
+    },
+  },
+  npcArchetypes: {
+    miner: { behaviors: [{ type: 'flee' }, { type: 'fight' }, { type: 'mineShaft' }, { type: 'digStaircase' }, { type: 'wander' }] },
+    villager: { behaviors: [{ type: 'flee' }, { type: 'fight' }, { type: 'returnHome' }, { type: 'wander', dig: 0 }] },
+    merchant: { behaviors: [{ type: 'fight' }, { type: 'returnHome', radius: 3 }, { type: 'trade' }] },
+  },
+  tiles: {
+    air: { id: 0, solid: false },
+    dirt: { id: 1, solid: true, hardness: 1, drops: [{ item: 'dirt', count: 1 }], placedBy: 'dirt' },
+    stone: { id: 2, solid: true, hardness: 3, drops: [{ item: 'stone', count: 1 }], placedBy: 'stone', gen: { minDepth: 0, layer: true } },
+    ore: { id: 3, solid: true, hardness: 4, drops: [{ item: 'ore', count: 1 }], placedBy: 'ore', vein: true, gen: { minDepth: 25, chance: 0.25 } },
+    tree: { id: 4, solid: true, hardness: 2, drops: [{ item: 'wood', count: 1 }], placedBy: 'wood' },
+    grass: { id: 5, solid: true, hardness: 1, drops: [{ item: 'dirt', count: 1 }] },
+    sky: { id: 6, solid: false },
+    deep_stone: { id: 7, solid: true, hardness: 6, minTier: 2, drops: [{ item: 'stone', count: 1 }], gen: { minDepth: 120, layer: true } },
+    rich_ore: { id: 8, solid: true, hardness: 8, minTier: 3, drops: [{ item: 'ore', count: 3 }], vein: true, gen: { minDepth: 100, chance: 0.04 } },
+    workbench: { id: 9, solid: true, hardness: 2, drops: [{ item: 'workbench', count: 1 }], placedBy: 'workbench', station: true },
+    furnace: { id: 10, solid: true, hardness: 3, drops: [{ item: 'furnace', count: 1 }], placedBy: 'furnace', station: true },
+    chest: { id: 11, solid: true, hardness: 2, drops: [{ item: 'chest', count: 1 }], placedBy: 'chest', container: { slots: 16 } },
+    planks: { id: 12, solid: true, hardness: 2, drops: [{ item: 'wood', count: 1 }] },
+    path: { id: 13, solid: true, hardness: 1, drops: [{ item: 'dirt', count: 1 }] },
+    water: { id: 14, solid: false, fluid: { flowEvery: 1, slow: 0.5, drowns: true }, gen: { pools: 40, minDepth: 10 } },
+    lava: { id: 15, solid: false, light: 12, fluid: { flowEvery: 3, slow: 0.3, damage: 10, reacts: { water: 'stone' } }, gen: { pools: 15, minDepth: 100 } },
+    sand: { id: 16, solid: true, hardness: 1, falls: true, drops: [{ item: 'sand', count: 1 }], placedBy: 'sand', gen: { minDepth: 0, chance: 0.03 } },
+    gravel: { id: 17, solid: true, hardness: 1, falls: true, drops: [{ item: 'gravel', count: 1 }], placedBy: 'gravel', gen: { minDepth: 30, chance: 0.04 } },
+    torch: { id: 18, solid: false, hardness: 0, light: 12, drops: [{ item: 'torch', count: 1 }], placedBy: 'torch' },
+  },
   items: {
     dirt: { id: 'dirt', tags: ['material'], stack: 999 },
     stone: { id: 'stone', tags: ['material'], stack: 999 },
@@ -39,24 +109,251 @@ let ITEM_DEFS = {
     wood: { id: 'wood', tags: ['material'], stack: 999 },
     ration: { id: 'ration', tags: ['food'], heal: 20, stack: 99 },
     sword: { id: 'sword', tags: ['weapon', 'melee'], dmg: 5, cooldown: 700, stack: 1 },
+    wood_pickaxe: { id: 'wood_pickaxe', tags: ['tool', 'pickaxe'], tier: 1, speed: 2, stack: 1 },
+    stone_pickaxe: { id: 'stone_pickaxe', tags: ['tool', 'pickaxe'], tier: 2, speed: 3, stack: 1 },
+    iron_pickaxe: { id: 'iron_pickaxe', tags: ['tool', 'pickaxe'], tier: 3, speed: 5, stack: 1 },
+    workbench: { id: 'workbench', tags: ['station', 'placeable'], stack: 10 },
+    furnace: { id: 'furnace', tags: ['station', 'placeable'], stack: 10 },
+    chest: { id: 'chest', tags: ['container', 'placeable'], stack: 10 },
+    sand: { id: 'sand', tags: ['placeable'], stack: 64 },
+    gravel: { id: 'gravel', tags: ['placeable'], stack: 64 },
+    torch: { id: 'torch', tags: ['placeable', 'light'], stack: 64 },
+    coin: { id: 'coin', tags: ['currency'], stack: 9999 },
   },
   recipes: {
     ration: { in: { wood: 1, ore: 1 }, out: { ration: 1 } },
+    workbench: { in: { wood: 4 }, out: { workbench: 1 } },
+    wood_pickaxe: { in: { wood: 3 }, out: { wood_pickaxe: 1 }, station: 'workbench', timeMs: 1000 },
+    chest: { in: { wood: 8 }, out: { chest: 1 } },
+    torch: { in: { wood: 1 }, out: { torch: 4 } },
   },
 };
 
-function loadDefs() {
-  try {
-    if (fs.existsSync(DEF_PATH)) {
-      const raw = fs.readFileSync(DEF_PATH, 'utf8');
-      const data = JSON.parse(raw);
-      if (data?.items && data?.recipes) ITEM_DEFS = data;
+// defs.json status, reported by GET /admin/defs
+const defsStatus = { version: 0, loadedAt: null, source: 'builtin', errors: [] };
+
+// Returns a list of problems; an empty list means `data` is safe to swap in.
+// With `lockTiles`, tiles already in `currentTiles` must keep their ids.
+function validateDefs(data, currentTiles, lockTiles) {
+  const errors = [];
+  const isObj = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  const isCount = (v) => Number.isInteger(v) && v > 0;
+  if (!isObj(data)) return ['defs must be an object'];
+  if (!isObj(data.items)) errors.push('items must be an object');
+  if (!isObj(data.recipes)) errors.push('recipes must be an object');
+  if (data.tiles !== undefined && !isObj(data.tiles)) errors.push('tiles must be an object');
+  if (errors.length) return errors;
+  const items = data.items;
+  const tiles = data.tiles || currentTiles;
+
+  for (const [id, it] of Object.entries(items)) {
+    if (!isObj(it)) {
+      errors.push(`items.${id} must be an object`);
+      continue;
+    }
+    if (it.id !== undefined && it.id !== id) errors.push(`items.${id}.id must be "${id}"`);
+    if (!isCount(it.stack)) errors.push(`items.${id}.stack must be a positive integer`);
+    if (it.tags !== undefined && !Array.isArray(it.tags)) errors.push(`items.${id}.tags must be an array`);
+    const tags = it.tags || [];
+    if (tags.includes('weapon') && !(typeof it.dmg === 'number' && it.dmg > 0)) errors.push(`items.${id} is a weapon without a positive dmg`);
+    if (tags.includes('pickaxe') && !(Number.isInteger(it.tier) && it.tier >= 0)) errors.push(`items.${id} is a pickaxe without an integer tier`);
+    if (it.cooldown !== undefined && !(typeof it.cooldown === 'number' && it.cooldown >= 0)) errors.push(`items.${id}.cooldown must be >= 0`);
+  }
+
+  const checkCounts = (path, counts) => {
+    if (!isObj(counts) || !Object.keys(counts).length) {
+      errors.push(`${path} must be a non-empty object`);
+      return;
+    }
+    for (const [item, n] of Object.entries(counts)) {
+      if (!Object.hasOwn(items, item)) errors.push(`${path} references unknown item ${item}`);
+      if (!isCount(n)) errors.push(`${path}.${item} must be a positive integer`);
+    }
+  };
+  for (const [id, r] of Object.entries(data.recipes)) {
+    if (!isObj(r)) {
+      errors.push(`recipes.${id} must be an object`);
+      continue;
+    }
+    checkCounts(`recipes.${id}.in`, r.in);
+    checkCounts(`recipes.${id}.out`, r.out);
+    if (r.station !== undefined && !tiles[r.station]?.station) errors.push(`recipes.${id}.station ${r.station} is not a station tile`);
+    if (r.timeMs !== undefined && !(Number.isInteger(r.timeMs) && r.timeMs >= 0)) errors.push(`recipes.${id}.timeMs must be a non-negative integer`);
+  }
+
+  if (data.shops !== undefined) {
+    if (!isObj(data.shops)) errors.push('shops must be an object');
+    else if (!Object.hasOwn(items, data.currency)) errors.push(`currency ${data.currency} is not an item`);
+    for (const [id, shop] of Object.entries(isObj(data.shops) ? data.shops : {})) {
+      if (!isObj(shop?.items)) {
+        errors.push(`shops.${id}.items must be an object`);
+        continue;
+      }
+      if (shop.spread !== undefined && !(typeof shop.spread === 'number' && shop.spread > 0 && shop.spread <= 1)) errors.push(`shops.${id}.spread must be in (0, 1]`);
+      if (shop.funds !== undefined && !(Number.isInteger(shop.funds) && shop.funds >= 0)) errors.push(`shops.${id}.funds must be a non-negative integer`);
+      for (const [item, e] of Object.entries(shop.items)) {
+        if (!Object.hasOwn(items, item)) errors.push(`shops.${id}.items references unknown item ${item}`);
+        if (!(typeof e?.price === 'number' && e.price > 0)) errors.push(`shops.${id}.items.${item}.price must be positive`);
+        if (!isCount(e?.target)) errors.push(`shops.${id}.items.${item}.target must be a positive integer`);
+      }
+    }
+  }
+
+  if (data.creatures !== undefined) {
+    if (!isObj(data.creatures)) errors.push('creatures must be an object');
+    for (const [id, c] of Object.entries(isObj(data.creatures) ? data.creatures : {})) {
+      if (!isCount(c?.hp)) errors.push(`creatures.${id}.hp must be a positive integer`);
+      for (const k of ['speed', 'damage', 'aggroRange', 'cooldownMs', 'minDepth', 'initial']) {
+        if (c?.[k] !== undefined && !(typeof c[k] === 'number' && c[k] >= 0)) errors.push(`creatures.${id}.${k} must be >= 0`);
+      }
+      if (!['surface', 'cave'].includes(c?.habitat)) errors.push(`creatures.${id}.habitat must be surface or cave`);
+      if (!CREATURE_TEMPERAMENTS.includes(c?.temperament)) errors.push(`creatures.${id}.temperament must be one of ${CREATURE_TEMPERAMENTS.join(', ')}`);
+      if (c?.spawn?.when !== undefined && !['day', 'night'].includes(c.spawn.when)) errors.push(`creatures.${id}.spawn.when must be day or night`);
+      for (const k of ['total', 'perRegion']) {
+        if (c?.cap?.[k] !== undefined && !isCount(c.cap[k])) errors.push(`creatures.${id}.cap.${k} must be a positive integer`);
+      }
+      if (c?.breed !== undefined && !(typeof c.breed?.chance === 'number' && c.breed.chance > 0 && c.breed.chance <= 1)) errors.push(`creatures.${id}.breed.chance must be in (0, 1]`);
+      for (const d of c?.loot || []) {
+        if (!Object.hasOwn(items, d?.item)) errors.push(`creatures.${id}.loot references unknown item ${d?.item}`);
+      }
+    }
+  }
+
+  if (data.npcArchetypes !== undefined) {
+    if (!isObj(data.npcArchetypes)) errors.push('npcArchetypes must be an object');
+    for (const [id, arch] of Object.entries(isObj(data.npcArchetypes) ? data.npcArchetypes : {})) {
+      if (!Array.isArray(arch?.behaviors)) {
+        errors.push(`npcArchetypes.${id}.behaviors must be an array`);
+        continue;
+      }
+      arch.behaviors.forEach((b, i) => {
+        const at = `npcArchetypes.${id}.behaviors[${i}]`;
+        if (!Object.hasOwn(NPC_BEHAVIORS, b?.type)) errors.push(`${at} has unknown type ${b?.type}`);
+        if (b?.weight !== undefined && !(typeof b.weight === 'number' && b.weight > 0)) errors.push(`${at}.weight must be positive`);
+        if (b?.when !== undefined && !['day', 'night'].includes(b.when)) errors.push(`${at}.when must be day or night`);
+        const d = b?.durationMs;
+        if (d !== undefined && !(Array.isArray(d) && d.length === 2 && d.every((v) => typeof v === 'number' && v >= 0) && d[0] <= d[1])) {
+          errors.push(`${at}.durationMs must be [min, max]`);
+        }
+        for (const it of b?.blocks || []) {
+          if (!Object.hasOwn(items, it)) errors.push(`${at}.blocks references unknown item ${it}`);
+        }
+      });
+    }
+  }
+
+  const seen = new Map();
+  for (const [name, t] of Object.entries(tiles)) {
+    if (!isObj(t)) {
+      errors.push(`tiles.${name} must be an object`);
+      continue;
+    }
+    // 255 is reserved: sight memory stores tile id + 1 in a byte
+    if (!Number.isInteger(t.id) || t.id < 0 || t.id > 254) errors.push(`tiles.${name}.id must be an integer 0-254`);
+    else if (seen.has(t.id)) errors.push(`tiles.${name}.id ${t.id} already used by ${seen.get(t.id)}`);
+    else seen.set(t.id, name);
+    if (typeof t.solid !== 'boolean') errors.push(`tiles.${name}.solid must be a boolean`);
+    if (t.hardness !== undefined && !(typeof t.hardness === 'number' && t.hardness >= 0)) errors.push(`tiles.${name}.hardness must be >= 0`);
+    if (t.container !== undefined && !isCount(t.container?.slots)) errors.push(`tiles.${name}.container.slots must be a positive integer`);
+    if (t.falls !== undefined && typeof t.falls !== 'boolean') errors.push(`tiles.${name}.falls must be a boolean`);
+    if (t.light !== undefined && !(Number.isInteger(t.light) && t.light >= 0 && t.light <= LIGHT_MAX)) errors.push(`tiles.${name}.light must be an integer 0-${LIGHT_MAX}`);
+    if (t.fluid !== undefined) {
+      if (!isObj(t.fluid) || t.solid) errors.push(`tiles.${name}.fluid must be an object on a non-solid tile`);
+      for (const [other, product] of Object.entries(t.fluid?.reacts || {})) {
+        if (!Object.hasOwn(tiles, other) || !Object.hasOwn(tiles, product)) errors.push(`tiles.${name}.fluid.reacts references unknown tile ${other} or ${product}`);
+      }
+      if (t.fluid?.slow !== undefined && !(typeof t.fluid.slow === 'number' && t.fluid.slow > 0 && t.fluid.slow <= 1)) errors.push(`tiles.${name}.fluid.slow must be in (0, 1]`);
+    }
+    if (t.placedBy !== undefined && !Object.hasOwn(items, t.placedBy)) errors.push(`tiles.${name}.placedBy references unknown item ${t.placedBy}`);
+    for (const [i, d] of (t.drops || []).entries()) {
+      if (!Object.hasOwn(items, d?.item)) errors.push(`tiles.${name}.drops[${i}] references unknown item ${d?.item}`);
+      if (d?.count !== undefined && !isCount(d.count)) errors.push(`tiles.${name}.drops[${i}].count must be a positive integer`);
     }
+  }
+  // saved chunks store tile ids, so a live tile may not be renumbered or dropped
+  for (const [name, t] of Object.entries(lockTiles ? currentTiles : {})) {
+    if (tiles[name]?.id !== t.id) errors.push(`tiles.${name} (id ${t.id}) cannot be removed or renumbered`);
+  }
+  for (const name of ['air', 'sky', 'dirt', 'stone', 'grass', 'tree', 'planks', 'path', 'chest']) {
+    if (!tiles[name]) errors.push(`tiles.${name} is required`);
+  }
+  return errors;
+}
+
+// Read, validate and swap in defs.json. All-or-nothing: on any error the current defs stay.
+// At startup `savedTiles` (the save's tile ids) must be kept, as on a reload.
+function loadDefs(source = 'startup', savedTiles = null) {
+  if (!fs.existsSync(DEF_PATH)) {
+    buildTileRegistry(ITEM_DEFS.tiles);
+    return { ok: true, errors: [] };
+  }
+  let errors;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(DEF_PATH, 'utf8'));
+    errors = validateDefs(data, savedTiles || ITEM_DEFS.tiles, source !== 'startup' || !!savedTiles);
+  } catch (e) {
+    errors = [`cannot parse ${DEF_PATH}: ${e.message}`];
+  }
+  defsStatus.errors = errors;
+  if (errors.length) {
+    console.error(`Rejected ${DEF_PATH} (${source}):\n  ${errors.join('\n  ')}`);
+    return { ok: false, errors };
+  }
+  ITEM_DEFS = { ...data, tiles: data.tiles || ITEM_DEFS.tiles };
+  buildTileRegistry(ITEM_DEFS.tiles);
+  defsStatus.version += 1;
+  defsStatus.loadedAt = Date.now();
+  defsStatus.source = source;
+  return { ok: true, errors };
+}
+
+function defsMessage() {
+  return { type: 'defs', version: defsStatus.version, items: ITEM_DEFS.items, recipes: RECIPES(), tiles: ITEM_DEFS.tiles };
+}
+
+function reloadDefs(source) {
+  const result = loadDefs(source);
+  if (result.ok) {
+    console.log(`Reloaded ${DEF_PATH} (v${defsStatus.version}, ${source})`);
+    const msg = defsMessage();
+    broadcast(msg);
+    broadcastWorld(msg);
+  }
+  return result;
+}
+
+function watchDefs() {
+  fs.watchFile(DEF_PATH, { interval: 1000 }, (cur, prev) => {
+    if (cur.mtimeMs !== prev.mtimeMs) reloadDefs('watch');
+  });
+}
+
+// Tile ids the existing save was written with, as {name: {id}}, or null if unknown
+function savedTileIds() {
+  if (process.env.FORCE_REGEN === '1' || !fs.existsSync(SAVE_META_PATH)) return null;
+  try {
+    const { tileIds } = JSON.parse(fs.readFileSync(SAVE_META_PATH, 'utf8'));
+    if (!tileIds) return null;
+    return Object.fromEntries(Object.entries(tileIds).map(([name, id]) => [name, { id }]));
   } catch (e) {
-    console.error('Failed to load defs.json:', e);
+    return null; // loadWorld reports an unreadable save
+  }
+}
+
+function buildTileRegistry(tiles) {
+  for (const k of Object.keys(TILE)) delete TILE[k];
+  TILE_DEFS = [];
+  for (const [name, def] of Object.entries(tiles)) {
+    TILE[name.toUpperCase()] = def.id;
+    TILE_DEFS[def.id] = { name, ...def };
   }
 }
 
+function tileDef(t) {
+  return TILE_DEFS[t];
+}
+
 // Item types (non-minecraft clone, minimal)
 const ITEM = {
   DIRT: 'dirt',
@@ -136,19 +433,136 @@ function noise1(x) {
   return noise2(x, 0);
 }
 
+// Spatial index: a Map whose entries are also bucketed into SPATIAL_CELL-sized grid
+// cells, so proximity queries only visit nearby cells. set/delete/clear keep the grid
+// in step; whatever moves an entry must call reindex(key) afterwards.
+const SPATIAL_CELL = 16; // tiles
+
+class SpatialMap extends Map {
+  constructor(posOf = (key, value) => value) {
+    super();
+    this.posOf = posOf;
+    this.cells = new Map(); // cell -> Set of keys
+    this.at = new Map(); // key -> {x, y, cell}
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.place(key, value);
+    return this;
+  }
+
+  delete(key) {
+    this.unplace(key);
+    return super.delete(key);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.at.clear();
+    super.clear();
+  }
+
+  reindex(key) {
+    if (this.has(key)) this.place(key, this.get(key));
+  }
+
+  place(key, value) {
+    const { x, y } = this.posOf(key, value);
+    const cell = spatialCell(Math.floor(x / SPATIAL_CELL), Math.floor(y / SPATIAL_CELL));
+    const old = this.at.get(key);
+    if (old?.cell !== cell) {
+      if (old) this.unplace(key);
+      if (!this.cells.has(cell)) this.cells.set(cell, new Set());
+      this.cells.get(cell).add(key);
+    }
+    this.at.set(key, { x, y, cell });
+  }
+
+  unplace(key) {
+    const old = this.at.get(key);
+    if (!old) return;
+    const bucket = this.cells.get(old.cell);
+    bucket.delete(key);
+    if (!bucket.size) this.cells.delete(old.cell);
+    this.at.delete(key);
+  }
+
+  // where an entry was last indexed: {x, y}
+  position(key) {
+    return this.at.get(key);
+  }
+
+  // keys of entries within r tiles of (x, y) on both axes
+  keysWithin(x, y, r) {
+    const out = [];
+    for (let cy = Math.floor((y - r) / SPATIAL_CELL); cy <= Math.floor((y + r) / SPATIAL_CELL); cy++) {
+      for (let cx = Math.floor((x - r) / SPATIAL_CELL); cx <= Math.floor((x + r) / SPATIAL_CELL); cx++) {
+        for (const key of this.cells.get(spatialCell(cx, cy)) || []) {
+          const at = this.at.get(key);
+          if (Math.abs(at.x - x) <= r && Math.abs(at.y - y) <= r) out.push(key);
+        }
+      }
+    }
+    return out;
+  }
+
+  within(x, y, r) {
+    return this.keysWithin(x, y, r).map((key) => this.get(key));
+  }
+}
+
+function spatialCell(cx, cy) {
+  return cy * 65536 + cx;
+}
+
 // In-memory state (authoritative)
-const players = new Map(); // playerId -> {id, name, x, y, hp, apiKey, inv, spawn, active, lastAttack, stats}
+const players = new SpatialMap(); // playerId -> {id, name, x, y, hp, apiKey, inv, spawn, active, lastAttack, stats}
 const sockets = new Map(); // playerId -> ws
+const tickStreams = new Map(); // playerId -> {seq, full, keyframe, tiles, entities, inv, player}
 let world = new Uint8Array(WORLD_W * WORLD_H);
 let surfaceMap = new Int16Array(WORLD_W);
-let villages = []; // [{x,y}]
-const chests = new Map(); // key "x,y" -> {items:{[item]:count}}
-const animals = new Map(); // id -> {id, type, x, y, hp, vx, vy}
-const npcs = new Map(); // id -> {id, name, x, y, hp, inv, vx, vy}
+const dirtyChunks = new Set(); // chunk index (cy * CHUNKS_X + cx) changed since last save
+let saveGen = 0; // generation of the meta.json last written or loaded
+const chunkFiles = new Map(); // chunk index -> file holding it in generation saveGen
+const pendingChunkFiles = new Map(); // chunk index -> file written for the next generation
+let villages = []; // [{id, name, x, y, bbox, houses, chests, residents}]
+const chests = new SpatialMap((key) => {
+  const [x, y] = key.split(',').map(Number);
+  return { x, y };
+}); // key "x,y" -> {items:{[item]:count}, owner, mode, allow, dropped, publicAt}
+const trades = new Map(); // id -> {id, from, to, give, want, createdAt, expiresAt}, `give` held in escrow
+const factions = new Map(); // id -> {id, name, leader, members:[playerId], invites:[playerId], friendlyFire, createdAt}
+const claims = new Map(); // id -> {id, name, owner, faction, allow:[playerId], x, y, w, h, createdAt}
+const animals = new SpatialMap(); // id -> {id, type, x, y, hp, vx, vy}
+const npcs = new SpatialMap(); // id -> {id, name, x, y, hp, inv, vx, vy}
 const chatLog = []; // {ts, message}
 const CHAT_MAX = 200;
 const INACTIVE_TIMEOUT_MS = 30 * 1000;
-const MAX_PLAYERS = 5;
+const MAX_PLAYERS = Number(process.env.MAX_PLAYERS) || 5;
+const TICK_MS = 100;
+// World clock: game time in ms, advanced by the tick loop and saved with the world.
+// A day starts at sunrise; dusk and dawn ramp the surface light between its extremes.
+const DAY_LENGTH_MS = Number(process.env.DAY_LENGTH_MS) || 20 * 60 * 1000;
+const DAY_PHASES = [
+  { phase: 'day', until: 0.5 },
+  { phase: 'dusk', until: 0.55 },
+  { phase: 'night', until: 0.95 },
+  { phase: 'dawn', until: 1 },
+];
+const DAY_LIGHT = 15;
+const NIGHT_LIGHT = 4;
+let worldTime = 0;
+// Max distance (tiles) between the acting player and the target of each action
+const REACH = {
+  mine: Number(process.env.REACH_MINE) || 5,
+  build: Number(process.env.REACH_BUILD) || 5,
+  chest: Number(process.env.REACH_CHEST) || 3,
+  attack: Number(process.env.REACH_ATTACK) || 2,
+};
+const TICK_PLAYER_FIELDS = ['id', 'x', 'y', 'vx', 'vy', 'onGround', 'hp', 'air', 'light', 'skin', 'active', 'look', 'mining', 'crafting', 'route'];
+// what other clients see of a player (ticks, /world, /ws/world)
+const PUBLIC_PLAYER_FIELDS = ['id', 'name', 'x', 'y', 'hp', 'skin', 'active', 'look', 'faction'];
 
 const NPC_CHAT = [
   'Want to trade food for ore?',
@@ -173,7 +587,7 @@ const NPC_CHAT = [
   'Let\'s craft tools and armor.',
 ];
 
-// Crafting recipes (loaded from defs.json)
+// Crafting recipes (loaded from defs.json): {in, out, station?, timeMs?}
 const RECIPES = () => ITEM_DEFS.recipes || {};
 
 // Skins (32-char hex ids; viewer resolves CDN URL)
@@ -193,13 +607,28 @@ function getTile(x, y) {
   return world[idx(x, y)];
 }
 
+// solid tiles, and placed non-solid ones like torches, can be mined
+function isBreakable(t) {
+  return isSolid(t) || !!tileDef(t)?.placedBy;
+}
+
 function isSolid(t) {
-  return t !== TILE.AIR && t !== TILE.SKY;
+  return tileDef(t)?.solid ?? true;
 }
 
 function setTile(x, y, t) {
   if (x < 0 || y < 0 || x >= WORLD_W || y >= WORLD_H) return;
-  world[idx(x, y)] = t;
+  const i = idx(x, y);
+  if (world[i] === t) return;
+  const old = world[i];
+  world[i] = t;
+  dirtyChunks.add(Math.floor(y / CHUNK_SIZE) * CHUNKS_X + Math.floor(x / CHUNK_SIZE));
+  wakeFluids(x, y);
+  wakeFalling(x, y, old, t);
+}
+
+function markAllChunksDirty() {
+  for (let i = 0; i < CHUNKS_X * CHUNKS_Y; i++) dirtyChunks.add(i);
 }
 
 function genWorld() {
@@ -234,7 +663,7 @@ function genWorld() {
         if (y < s + dirtDepth) {
           setTile(x, y, TILE.DIRT);
         } else {
-          setTile(x, y, hash2(x, y) < 0.25 ? TILE.ORE : TILE.STONE);
+          setTile(x, y, genOre(x, y, y - s) ?? genLayer(y - s));
         }
       }
     }
@@ -250,6 +679,8 @@ function genWorld() {
     }
   }
 
+  genPools();
+
   // Trees on surface (spawn on grass)
   for (let x = 0; x < WORLD_W; x++) {
     if (rand() < 0.05) {
@@ -261,35 +692,241 @@ function genWorld() {
     }
   }
 
+  markAllChunksDirty();
   genVillages();
   genAnimals();
   genNpcs();
 }
 
+// base rock: the registry `gen.layer` tile with the deepest minDepth reached
+function genLayer(depth) {
+  let best = null;
+  for (const d of TILE_DEFS) {
+    if (!d?.gen?.layer || depth < (d.gen.minDepth || 0)) continue;
+    if (!best || d.gen.minDepth > best.gen.minDepth) best = d;
+  }
+  return best ? best.id : TILE.STONE;
+}
+
+// Fluid pools: registry entries with `gen: {pools, minDepth}` get that many sealed
+// pockets (caves are sparse), hollowed out of the rock with the lower half filled
+function genPools() {
+  for (const d of TILE_DEFS) {
+    if (!d?.fluid || !d.gen?.pools) continue;
+    for (let k = 0; k < d.gen.pools; k++) {
+      const cx = Math.floor(rand() * WORLD_W);
+      const rx = 3 + Math.floor(rand() * 6);
+      const ry = 2 + Math.floor(rand() * 3);
+      const top = surfaceMap[cx] + (d.gen.minDepth || 0) + ry + 1;
+      if (top >= WORLD_H - ry - 2) continue;
+      const cy = top + Math.floor(rand() * (WORLD_H - ry - 2 - top));
+      for (let y = cy - ry; y <= cy + ry; y++) {
+        for (let x = cx - rx; x <= cx + rx; x++) {
+          if (((x - cx) / rx) ** 2 + ((y - cy) / ry) ** 2 > 1) continue;
+          setTile(x, y, y >= cy ? d.id : TILE.AIR);
+        }
+      }
+    }
+  }
+}
+
+// ore tiles come from registry entries with `gen: {minDepth, chance}`
+function genOre(x, y, depth) {
+  const r = hash2(x, y);
+  let acc = 0;
+  for (const d of TILE_DEFS) {
+    if (!d?.gen?.chance || depth < (d.gen.minDepth || 0)) continue;
+    acc += d.gen.chance || 0;
+    if (r < acc) return d.id;
+  }
+  return undefined;
+}
+
+// equipped pickaxe def, or null for bare hands
+function activeTool(actor) {
+  const def = ITEM_DEFS.items?.[actor.active];
+  if (!def?.tags?.includes('pickaxe') || (actor.inv?.[actor.active] || 0) <= 0) return null;
+  return def;
+}
+
+// unequip the active item once none of it is left
+function dropSpentActive(actor) {
+  if (actor.active && (actor.inv?.[actor.active] || 0) <= 0) actor.active = null;
+}
+
+// first item in `incoming` that would leave `inv`, less `outgoing`, past its stack size
+function stackOverflow(inv, outgoing, incoming) {
+  for (const [item, n] of Object.entries(incoming)) {
+    const stack = ITEM_DEFS.items?.[item]?.stack || 1;
+    if ((inv[item] || 0) - (outgoing[item] || 0) + n > stack) return { item, stack };
+  }
+  return null;
+}
+
+function toolTier(actor) {
+  return activeTool(actor)?.tier || 0;
+}
+
+// ms to mine tile `t` with the actor's current tool
+function mineDuration(actor, t) {
+  const speed = activeTool(actor)?.speed || 1;
+  return Math.round(((tileDef(t)?.hardness ?? 1) * MINE_MS_PER_HARDNESS) / speed);
+}
+
+// Remove a solid tile and give its drops to `actor` (player or NPC).
+// Vein tiles also break matching neighbours. Returns the tile id, or null if
+// there is nothing to mine or the actor's tool tier is too low.
+function breakTile(actor, x, y) {
+  const t = getTile(x, y);
+  if (!isBreakable(t)) return null;
+  if (toolTier(actor) < (tileDef(t)?.minTier || 0)) return null;
+  if (!canModify(actor, x, y)) return null;
+  if (tileDef(t)?.container) {
+    if (!canBreakChest(actor, x, y)) return null;
+    chests.delete(chestKey(x, y));
+  }
+  setTile(x, y, TILE.AIR);
+  giveDrops(actor, t);
+  if (tileDef(t)?.vein) {
+    for (let ox = -1; ox <= 1; ox++) {
+      for (let oy = -1; oy <= 1; oy++) {
+        if (ox === 0 && oy === 0) continue;
+        if (getTile(x + ox, y + oy) === t && canModify(actor, x + ox, y + oy)) {
+          setTile(x + ox, y + oy, TILE.AIR);
+          giveDrops(actor, t);
+        }
+      }
+    }
+  }
+  return t;
+}
+
+// roll a drop/loot table ([{item, count?, chance?}]) into actor.inv
+function rollLoot(actor, table) {
+  for (const d of table || []) {
+    if (d.chance != null && rand() >= d.chance) continue;
+    const count = d.count ?? 1;
+    actor.inv[d.item] = (actor.inv[d.item] || 0) + count;
+  }
+}
+
+function giveDrops(actor, t) {
+  rollLoot(actor, tileDef(t)?.drops);
+  if (actor.stats) actor.stats.blocksMined = (actor.stats.blocksMined || 0) + 1;
+}
+
+const VILLAGE_COUNT = 6;
+const VILLAGE_SYLLABLES = ['mol', 'tar', 'clen', 'ash', 'vor', 'rin', 'ka', 'del', 'sul', 'bry', 'em', 'os'];
+const VILLAGE_LOOT = [
+  { item: 'wood', min: 4, max: 12 },
+  { item: 'stone', min: 4, max: 12 },
+  { item: 'meat', min: 1, max: 4 },
+  { item: 'ore', min: 1, max: 5 },
+  { item: 'wood_pickaxe', min: 1, max: 1 },
+];
+
+// Villages: flattened ground with plank-and-stone houses, a path, stocked public
+// chests and resident NPCs. Uses its own RNG so layouts depend only on worldSeed.
 function genVillages() {
   villages = [];
-  for (let i = 0; i < 6; i++) {
-    villages.push({
-      x: Math.floor(rand() * WORLD_W),
-      y: Math.floor(WORLD_H * 0.25 + rand() * WORLD_H * 0.5),
-    });
+  const vrand = mulberry32(xmur3(`${worldSeed}:villages`)());
+  const segment = Math.floor(WORLD_W / VILLAGE_COUNT);
+  for (let i = 0; i < VILLAGE_COUNT; i++) {
+    const houses = 2 + Math.floor(vrand() * 3);
+    const widths = Array.from({ length: houses }, () => 5 + Math.floor(vrand() * 3));
+    const span = widths.reduce((a, b) => a + b, 0) + (houses + 1) * 3;
+    const x0 = i * segment + Math.floor(vrand() * Math.max(1, segment - span));
+    villages.push(buildVillage(i, x0, span, widths, vrand));
+  }
+  invalidateZones();
+}
+
+function villageName(vrand) {
+  const n = 2 + Math.floor(vrand() * 2);
+  let name = '';
+  for (let i = 0; i < n; i++) name += VILLAGE_SYLLABLES[Math.floor(vrand() * VILLAGE_SYLLABLES.length)];
+  return name[0].toUpperCase() + name.slice(1);
+}
+
+function buildVillage(i, x0, span, widths, vrand) {
+  // level the ground at the average surface height
+  let sum = 0;
+  for (let x = x0; x < x0 + span; x++) sum += surfaceMap[x];
+  const ground = Math.round(sum / span); // first row below the grass
+  for (let x = x0; x < x0 + span; x++) {
+    for (let y = Math.min(ground, surfaceMap[x]) - 12; y < Math.max(ground, surfaceMap[x]); y++) {
+      if (y < ground - 1) setTile(x, y, TILE.SKY);
+      else if (y === ground - 1) setTile(x, y, TILE.PATH);
+      else setTile(x, y, TILE.DIRT);
+    }
+    surfaceMap[x] = ground;
+  }
+
+  const houses = [];
+  const chestSpots = [];
+  let hx = x0 + 3;
+  let top = ground - 1;
+  for (const hw of widths) {
+    const hh = 4 + Math.floor(vrand() * 2);
+    const roof = ground - 2 - hh;
+    for (let x = hx; x < hx + hw; x++) {
+      setTile(x, ground - 1, TILE.STONE); // floor
+      for (let y = roof + 1; y < ground - 1; y++) {
+        const wall = x === hx || x === hx + hw - 1;
+        setTile(x, y, wall ? TILE.PLANKS : TILE.AIR);
+      }
+    }
+    for (let x = hx - 1; x <= hx + hw; x++) setTile(x, roof, TILE.PLANKS);
+    // door on the side facing the village centre
+    const doorX = hx + hw / 2 < x0 + span / 2 ? hx + hw - 1 : hx;
+    setTile(doorX, ground - 2, TILE.AIR);
+    setTile(doorX, ground - 3, TILE.AIR);
+
+    const cx = doorX === hx ? hx + hw - 2 : hx + 1;
+    const cy = ground - 2;
+    setTile(cx, cy, TILE.CHEST);
+    const items = {};
+    for (const l of VILLAGE_LOOT) {
+      if (vrand() < 0.6) items[l.item] = l.min + Math.floor(vrand() * (l.max - l.min + 1));
+    }
+    chests.set(chestKey(cx, cy), { items, owner: null, mode: 'public', allow: [] });
+    chestSpots.push({ x: cx, y: cy });
+    houses.push({ x: hx, y: roof, w: hw, h: ground - roof });
+    top = Math.min(top, roof);
+    hx += hw + 3;
+  }
+
+  // centre: the open column nearest the middle of the village
+  let cx = x0 + Math.floor(span / 2);
+  for (let d = 0; d < span / 2; d++) {
+    const x = cx + (d % 2 ? -Math.ceil(d / 2) : Math.ceil(d / 2));
+    if (!isSolid(getTile(x, ground - 2)) && !isSolid(getTile(x, ground - 3))) {
+      cx = x;
+      break;
+    }
   }
+
+  return {
+    id: `village-${i}`,
+    name: villageName(vrand),
+    x: cx,
+    y: ground - 2, // standing height in the village
+    bbox: { x: x0, y: top, w: span, h: ground - top },
+    houses,
+    chests: chestSpots,
+    residents: [],
+  };
 }
 
+// Seed each species with its `initial` population, within its caps
 function genAnimals() {
   animals.clear();
-  for (let i = 0; i < 50; i++) {
-    const x = Math.floor(rand() * WORLD_W);
-    const y = Math.max(1, (surfaceMap[x] || Math.floor(WORLD_H * 0.25)) - 1);
-    animals.set(randomUUID(), {
-      id: randomUUID(),
-      type: 'boar',
-      x,
-      y,
-      hp: 20,
-      vx: 0,
-      vy: 0,
-    });
+  const counts = creatureCounts();
+  for (const [type, def] of Object.entries(ITEM_DEFS.creatures || {})) {
+    for (let i = 0; i < (def.initial || 0); i++) {
+      const spot = creatureSpawnSpot(def);
+      if (spot && underCap(type, def, spot.x, counts)) addCreature(type, def, spot, counts);
+    }
   }
 }
 
@@ -308,86 +945,353 @@ const NPC_NAMES = [
   'Vex',
 ];
 
+const RESIDENTS_PER_VILLAGE = 2; // the first resident of each village runs its shop
+const MERCHANT_SHOP = 'general';
+const SHOP_RANGE = 4; // tiles between player and merchant
+const AGGRO_MS = 10000; // how long a creature or NPC keeps chasing without a fresh hit
+const REGION_W = 64; // width in tiles of the strips that per-region creature caps count
+
+// Merchants: NPCs with `merchant` (a shop id in defs.json) and `shop.stock`.
+// Prices rise as stock falls below the shop's target and fall as it piles up.
+// Coins only change hands: merchants pay sellers from their own inventory.
+function shopDef(id) {
+  return ITEM_DEFS.shops?.[id] || null;
+}
+
+// currency a new merchant starts with
+function shopFunds(id) {
+  return { [ITEM_DEFS.currency]: shopDef(id)?.funds ?? 100 };
+}
+
+function newShopStock(id) {
+  const stock = {};
+  for (const [item, e] of Object.entries(shopDef(id)?.items || {})) stock[item] = e.target;
+  return { stock, restockedAt: Date.now() };
+}
+
+// price of one unit when the merchant holds `stock`
+function unitPrice(entry, stock) {
+  const mult = Math.min(4, Math.max(0.25, Math.sqrt(entry.target / Math.max(1, stock))));
+  return Math.max(1, Math.round(entry.price * mult));
+}
+
+// total for `count` units, with the price sliding as each unit changes the stock
+function quote(shop, item, stock, count, selling) {
+  const entry = shop.items[item];
+  let total = 0;
+  for (let i = 0; i < count; i++) {
+    if (selling) total += Math.max(1, Math.floor(unitPrice(entry, stock + i + 1) * (shop.spread ?? 0.6)));
+    else total += unitPrice(entry, stock - i);
+  }
+  return total;
+}
+
+function shopListing(n) {
+  const shop = shopDef(n.merchant);
+  return Object.keys(shop?.items || {}).map((item) => {
+    const stock = n.shop.stock[item] || 0;
+    return { item, stock, buy: stock > 0 ? quote(shop, item, stock, 1, false) : null, sell: quote(shop, item, stock, 1, true) };
+  });
+}
+
+// stock drifts one unit toward target per restock period
+function restockShop(n) {
+  const shop = shopDef(n.merchant);
+  if (!shop) return;
+  if (!n.shop) n.shop = newShopStock(n.merchant);
+  const period = shop.restockMs || 30000;
+  if (Date.now() - n.shop.restockedAt < period) return;
+  n.shop.restockedAt = Date.now();
+  for (const [item, e] of Object.entries(shop.items)) {
+    const cur = n.shop.stock[item] || 0;
+    if (cur !== e.target) n.shop.stock[item] = cur + Math.sign(e.target - cur);
+  }
+}
+
+// Older saves predate merchants, archetypes and merchant funds: promote the first
+// resident of each village, give every NPC an archetype, give merchants their
+// starting coins and drop the old goal fields
+function ensureNpcRoles() {
+  for (const v of villages) {
+    const residents = (v.residents || []).map((id) => npcs.get(id)).filter(Boolean);
+    if (!residents.length || residents.some((n) => n.merchant)) continue;
+    residents[0].merchant = MERCHANT_SHOP;
+    residents[0].shop = newShopStock(MERCHANT_SHOP);
+  }
+  for (const n of npcs.values()) {
+    n.archetype ??= n.merchant ? 'merchant' : n.home ? 'villager' : 'miner';
+    n.state ??= 'idle';
+    n.stateUntil ??= 0;
+    if (n.merchant && n.inv[ITEM_DEFS.currency] === undefined) addItems(n.inv, shopFunds(n.merchant));
+    for (const k of ['goal', 'goalUntil', 'goalDir', 'goalStage', 'roamX']) delete n[k];
+  }
+}
+
 function genNpcs() {
   npcs.clear();
   for (let i = 0; i < 30; i++) {
     const id = randomUUID();
     const base = NPC_NAMES[i % NPC_NAMES.length];
     const suffix = rand() < 0.4 ? `-${Math.floor(rand() * 90 + 10)}` : '';
-    npcs.set(id, {
+    // the first NPCs live in villages
+    const village = villages[Math.floor(i / RESIDENTS_PER_VILLAGE)];
+    if (village) village.residents.push(id);
+    const merchant = village && i % RESIDENTS_PER_VILLAGE === 0 ? MERCHANT_SHOP : null;
+    npcs.set(id, makeNpc({
       id,
       name: `${base}${suffix}`,
-      x: Math.floor(rand() * WORLD_W),
-      y: Math.floor(WORLD_H * 0.45 + rand() * WORLD_H * 0.5),
-      hp: 100,
-      inv: {},
-      vx: 0,
-      vy: 0,
+      x: village ? village.x : Math.floor(rand() * WORLD_W),
+      y: village ? village.y : Math.floor(WORLD_H * 0.45 + rand() * WORLD_H * 0.5),
+      home: village ? { villageId: village.id, x: village.x, y: village.y } : null,
+      archetype: merchant ? 'merchant' : village ? 'villager' : 'miner',
+      ...(merchant ? { merchant, shop: newShopStock(merchant) } : {}),
       skin: SKINS[i % SKINS.length],
-      goal: null,
-      goalUntil: 0,
-      goalDir: 0,
-      goalStage: 0,
-      roamX: Math.floor(rand() * WORLD_W),
-      stats: { blocksMined: 0, itemsCrafted: 0, playtimeMs: 0 },
-    });
+    }));
   }
 }
 
-function loadWorld() {
+// Persistence: meta.json (entities, chat, seed) + run-length encoded tile chunks.
+// Every file is written to a temp file and renamed into place, so a crash mid-save
+// leaves the previous copy intact. Each save is a generation: changed chunks go to
+// new files stamped with it and meta.json, written last, commits it. Loading takes
+// each chunk's newest file up to meta's generation and deletes the rest.
+function writeFileAtomic(path, data) {
+  const tmp = `${path}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
   try {
-    const envSeed = process.env.WORLD_SEED || 'moltwars';
-    const forceRegen = process.env.FORCE_REGEN === '1';
-    if (!forceRegen && fs.existsSync(SAVE_PATH)) {
-      const raw = fs.readFileSync(SAVE_PATH, 'utf8');
-      const data = JSON.parse(raw);
-      if (data?.seed) setSeed(data.seed); else setSeed(envSeed);
-      if (data?.players) {
-        for (const p of data.players) players.set(p.id, p);
-      }
-      if (data?.world && data.world.length === WORLD_W * WORLD_H) {
-        world = Uint8Array.from(data.world);
-      } else {
-        genWorld();
-      }
-      if (data?.villages) villages = data.villages;
-      if (data?.chests) {
-        for (const [k, v] of Object.entries(data.chests)) chests.set(k, v);
-      }
-      if (data?.animals) {
-        for (const a of data.animals) animals.set(a.id, a);
-      }
-      if (data?.npcs) {
-        for (const n of data.npcs) npcs.set(n.id, n);
-      }
-      if (data?.chat) {
-        chatLog.length = 0;
-        for (const c of data.chat) chatLog.push(c);
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, path);
+}
+
+function chunkBounds(ci) {
+  const x0 = (ci % CHUNKS_X) * CHUNK_SIZE;
+  const y0 = Math.floor(ci / CHUNKS_X) * CHUNK_SIZE;
+  return { x0, y0, w: Math.min(CHUNK_SIZE, WORLD_W - x0), h: Math.min(CHUNK_SIZE, WORLD_H - y0) };
+}
+
+// generation 0 is the unstamped name older saves used
+function chunkPath(ci, gen) {
+  return `${SAVE_CHUNK_DIR}/${ci % CHUNKS_X}_${Math.floor(ci / CHUNKS_X)}${gen ? `.${gen}` : ''}.bin`;
+}
+
+// [run length (1..255), tile] byte pairs, row-major
+function encodeChunk(ci) {
+  const { x0, y0, w, h } = chunkBounds(ci);
+  const out = [];
+  let prev = -1;
+  let run = 0;
+  for (let y = y0; y < y0 + h; y++) {
+    for (let x = x0; x < x0 + w; x++) {
+      const t = world[idx(x, y)];
+      if (t === prev && run < 255) {
+        run++;
+        continue;
       }
-    } else {
-      setSeed(envSeed);
-      genWorld();
+      if (run) out.push(run, prev);
+      prev = t;
+      run = 1;
     }
-  } catch (e) {
-    console.error('Failed to load world:', e);
+  }
+  if (run) out.push(run, prev);
+  return Buffer.from(out);
+}
+
+function decodeChunk(ci, buf) {
+  const { x0, y0, w, h } = chunkBounds(ci);
+  if (buf.length % 2 !== 0) throw new Error(`chunk ${ci}: truncated`);
+  let n = 0;
+  for (let i = 0; i < buf.length; i += 2) {
+    const run = buf[i];
+    const t = buf[i + 1];
+    for (let k = 0; k < run; k++, n++) {
+      if (n >= w * h) throw new Error(`chunk ${ci}: too many tiles`);
+      world[idx(x0 + (n % w), y0 + Math.floor(n / w))] = t;
+    }
+  }
+  if (n !== w * h) throw new Error(`chunk ${ci}: expected ${w * h} tiles, got ${n}`);
+}
+
+// Save format migrations, keyed by the version they upgrade from
+const SAVE_MIGRATIONS = {
+  // v1: single world.json with a flat `world` tile array
+  1: (data) => {
+    if (!Array.isArray(data.world) || data.world.length !== WORLD_W * WORLD_H) {
+      throw new Error('v1 save has no valid world array');
+    }
+    world = Uint8Array.from(data.world);
+    markAllChunksDirty();
+    delete data.world;
+    data.worldWidth = WORLD_W;
+    data.worldHeight = WORLD_H;
+    data.chunkSize = CHUNK_SIZE;
+    return data;
+  },
+  // v2: unstamped chunk files, read as generation 0
+  2: (data) => {
+    data.gen = 0;
+    return data;
+  },
+};
+
+function migrateSave(data) {
+  let version = data.version || 1;
+  if (version > SAVE_VERSION) throw new Error(`save version ${version} is newer than supported ${SAVE_VERSION}`);
+  while (version < SAVE_VERSION) {
+    const migrate = SAVE_MIGRATIONS[version];
+    if (!migrate) throw new Error(`no migration from save version ${version}`);
+    data = migrate(data);
+    version += 1;
+    data.version = version;
+  }
+  return data;
+}
+
+// every chunk file in the save: [{ci, gen, file}]
+function savedChunkFiles() {
+  if (!fs.existsSync(SAVE_CHUNK_DIR)) return [];
+  return fs.readdirSync(SAVE_CHUNK_DIR).flatMap((name) => {
+    const m = /^(\d+)_(\d+)(?:\.(\d+))?\.bin$/.exec(name);
+    if (!m) return [];
+    return [{ ci: Number(m[2]) * CHUNKS_X + Number(m[1]), gen: Number(m[3] || 0), file: `${SAVE_CHUNK_DIR}/${name}` }];
+  });
+}
+
+function loadChunks() {
+  const newest = new Map(); // chunk index -> {gen, file}
+  for (const { ci, gen, file } of savedChunkFiles()) {
+    const best = newest.get(ci);
+    // newer than meta.json: left by a save that never finished
+    if (gen > saveGen || (best && best.gen > gen)) {
+      fs.unlinkSync(file);
+      continue;
+    }
+    if (best) fs.unlinkSync(best.file);
+    newest.set(ci, { gen, file });
+  }
+  for (let ci = 0; ci < CHUNKS_X * CHUNKS_Y; ci++) {
+    if (dirtyChunks.has(ci)) continue; // already filled by a migration
+    const best = newest.get(ci);
+    if (!best) throw new Error(`chunk ${ci}: missing`);
+    decodeChunk(ci, fs.readFileSync(best.file));
+    chunkFiles.set(ci, best.file);
+  }
+}
+
+function applySave(data) {
+  if (data?.seed) setSeed(data.seed); else setSeed(process.env.WORLD_SEED || 'moltwars');
+  worldTime = data?.clock?.time || 0;
+  saveGen = data?.gen || 0;
+  if (data?.players) {
+    for (const p of data.players) players.set(p.id, p);
+  }
+  if (data?.villages) villages = data.villages;
+  invalidateZones();
+  if (data?.chests) {
+    // death chests used to be keyed by fractional body positions: move those onto
+    // free tiles once every other chest is in place
+    const entries = Object.entries(data.chests);
+    const fractional = (k) => k.split(',').some((n) => !Number.isInteger(Number(n)));
+    for (const [k, v] of entries) if (!fractional(k)) chests.set(k, v);
+    for (const [k, v] of entries.filter(([k]) => fractional(k))) {
+      const [x, y] = k.split(',').map((n) => Math.floor(Number(n)));
+      const key = deathChestKey(v.owner, x, y);
+      const existing = chests.get(key);
+      if (existing) addItems(existing.items, v.items);
+      else chests.set(key, v);
+    }
+  }
+  if (data?.animals) {
+    for (const a of data.animals) animals.set(a.id, a);
+  }
+  if (data?.npcs) {
+    for (const n of data.npcs) npcs.set(n.id, n);
+  }
+  if (data?.chat) {
+    chatLog.length = 0;
+    for (const c of data.chat) chatLog.push(c);
+  }
+  if (data?.factions) {
+    for (const f of data.factions) factions.set(f.id, f);
+  }
+  if (data?.claims) {
+    for (const c of data.claims) claims.set(c.id, c);
+  }
+  // trades do not survive a restart: hand escrowed items back
+  for (const t of data?.trades || []) {
+    const from = players.get(t.from);
+    if (from) addItems(from.inv, t.give);
+  }
+}
+
+function loadWorld() {
+  const envSeed = process.env.WORLD_SEED || 'moltwars';
+  const forceRegen = process.env.FORCE_REGEN === '1';
+  const hasMeta = fs.existsSync(SAVE_META_PATH);
+  const hasLegacy = fs.existsSync(SAVE_PATH);
+  if (forceRegen || (!hasMeta && !hasLegacy)) {
+    setSeed(envSeed);
     genWorld();
+    // number past any old chunk files so the new world's chunks always win
+    saveGen = Math.max(0, ...savedChunkFiles().map((f) => f.gen));
+    return;
+  }
+  // An unreadable save is fatal: regenerating here would overwrite the world on the next autosave.
+  try {
+    const path = hasMeta ? SAVE_META_PATH : SAVE_PATH;
+    const data = migrateSave(JSON.parse(fs.readFileSync(path, 'utf8')));
+    if (data.worldWidth !== WORLD_W || data.worldHeight !== WORLD_H || data.chunkSize !== CHUNK_SIZE) {
+      throw new Error(`save dimensions ${data.worldWidth}x${data.worldHeight}/${data.chunkSize} do not match server`);
+    }
+    applySave(data);
+    loadChunks();
+    if (!hasMeta) saveWorld(); // write the migrated save in the current format
+  } catch (e) {
+    console.error('Failed to load world, refusing to start (set FORCE_REGEN=1 to regenerate):', e);
+    process.exit(1);
   }
 }
 
 function saveWorld() {
   try {
-    const snapshot = {
-      players: Array.from(players.values()),
-      world: Array.from(world),
+    fs.mkdirSync(SAVE_CHUNK_DIR, { recursive: true });
+    const gen = saveGen + 1;
+    for (const ci of dirtyChunks) {
+      writeFileAtomic(chunkPath(ci, gen), encodeChunk(ci));
+      pendingChunkFiles.set(ci, chunkPath(ci, gen));
+      dirtyChunks.delete(ci);
+    }
+    const meta = {
+      version: SAVE_VERSION,
+      gen,
+      worldWidth: WORLD_W,
+      worldHeight: WORLD_H,
+      chunkSize: CHUNK_SIZE,
       seed: worldSeed,
+      clock: { time: worldTime },
+      tileIds: Object.fromEntries(Object.entries(ITEM_DEFS.tiles).map(([name, t]) => [name, t.id])),
+      players: Array.from(players.values()),
       villages,
       chests: Object.fromEntries(chests),
+      trades: Array.from(trades.values()),
+      factions: Array.from(factions.values()),
+      claims: Array.from(claims.values()),
       animals: Array.from(animals.values()),
       npcs: Array.from(npcs.values()),
       chat: chatLog,
     };
-    fs.mkdirSync('./data', { recursive: true });
-    fs.writeFileSync(SAVE_PATH, JSON.stringify(snapshot));
+    writeFileAtomic(SAVE_META_PATH, JSON.stringify(meta));
+    saveGen = gen;
+    // the generation is committed: older copies of the rewritten chunks can go
+    for (const [ci, file] of pendingChunkFiles) {
+      const old = chunkFiles.get(ci);
+      if (old && old !== file) fs.rmSync(old, { force: true });
+      chunkFiles.set(ci, file);
+    }
+    pendingChunkFiles.clear();
   } catch (e) {
     console.error('Failed to save world:', e);
   }
@@ -406,7 +1310,7 @@ function findSurfaceY(x) {
 function spawnPlayer(name) {
   const spawnX = Math.floor(rand() * WORLD_W);
   const surfaceY = findSurfaceY(spawnX);
-  const spawnY = Math.min(WORLD_H - 2, surfaceY + 5);
+  const spawnY = surfaceY;
   return {
     id: randomUUID(),
     name,
@@ -421,6 +1325,7 @@ function spawnPlayer(name) {
     look: 1,
     stats: {
       kills: 0,
+      npcKills: 0,
       deaths: 0,
       blocksMined: 0,
       itemsCrafted: 0,
@@ -437,6 +1342,14 @@ function addChat(message) {
   if (chatLog.length > CHAT_MAX) chatLog.shift();
 }
 
+// Player as other clients see it: the public fields, plus the faction name
+function publicPlayer(p) {
+  const out = {};
+  for (const k of PUBLIC_PLAYER_FIELDS) out[k] = p[k] ?? null;
+  out.factionName = p.faction ? factions.get(p.faction)?.name ?? null : null;
+  return out;
+}
+
 function isActivePlayer(p) {
   return p?.lastSeen && Date.now() - p.lastSeen < INACTIVE_TIMEOUT_MS;
 }
@@ -448,9 +1361,14 @@ function broadcast(payload) {
   }
 }
 
+function sendTo(playerId, payload) {
+  const ws = sockets.get(playerId);
+  if (ws?.readyState === 1) ws.send(JSON.stringify(payload));
+}
+
 function broadcastWorld(payload) {
   const msg = JSON.stringify(payload);
-  for (const ws of worldSockets) {
+  for (const ws of worldSockets.keys()) {
     if (ws.readyState === 1) ws.send(msg);
   }
 }
@@ -459,16 +1377,92 @@ function emitFx(payload) {
   broadcastWorld({ type: "fx", ...payload, ts: Date.now() });
 }
 
-function getViewport(p) {
-  const tiles = [];
-  for (let dy = -VIEW_RADIUS; dy <= VIEW_RADIUS; dy++) {
-    const row = [];
-    for (let dx = -VIEW_RADIUS; dx <= VIEW_RADIUS; dx++) {
-      row.push(getTile(p.x + dx, p.y + dy));
+// Light and sight. Sky tiles carry the surface light of the world clock and tiles
+// with a `light` level (torches, lava) glow; light loses a level per tile as it
+// spreads through open tiles, and lights the faces of solid ones without passing
+// through. A player sees lit tiles, and the tiles right next to them, when nothing
+// solid lies in between. Seen tiles are remembered until seen again.
+const LIGHT_MAX = 15;
+const FOG = { unknown: 0, remembered: 1, visible: 2 };
+const tileMemory = new Map(); // online playerId -> Uint8Array of last seen tile + 1 (0 = never)
+
+// light level of every tile in the w x h box at (x0, y0)
+function lightLevels(x0, y0, w, h) {
+  const sky = worldClock().light;
+  const light = new Uint8Array(w * h);
+  const buckets = Array.from({ length: LIGHT_MAX + 1 }, () => []);
+  for (let i = 0; i < w * h; i++) {
+    const t = getTile(x0 + (i % w), y0 + Math.floor(i / w));
+    const level = Math.min(LIGHT_MAX, Math.max(t === TILE.SKY ? sky : 0, tileDef(t)?.light || 0));
+    light[i] = level;
+    if (level) buckets[level].push(i);
+  }
+  for (let level = LIGHT_MAX; level > 1; level--) {
+    for (const i of buckets[level]) {
+      const x = i % w;
+      const y = (i - x) / w;
+      const t = getTile(x0 + x, y0 + y);
+      if (light[i] !== level || (isSolid(t) && !tileDef(t)?.light)) continue;
+      for (const [nx, ny] of [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]) {
+        const j = ny * w + nx;
+        if (nx < 0 || ny < 0 || nx >= w || ny >= h || light[j] >= level - 1) continue;
+        light[j] = level - 1;
+        buckets[level - 1].push(j);
+      }
     }
-    tiles.push(row);
   }
-  return tiles;
+  return light;
+}
+
+// The viewport as p knows it: {x0, y0, size, tiles, fog, light}. `tiles` holds the
+// current tile where visible, the remembered one or null elsewhere; `fog` says which.
+function playerSight(p) {
+  const size = VIEW_RADIUS * 2 + 1;
+  const x0 = Math.floor(p.x) - VIEW_RADIUS;
+  const y0 = Math.floor(p.y) - VIEW_RADIUS;
+  const span = size + LIGHT_MAX * 2; // light from sources just outside the view
+  const light = lightLevels(x0 - LIGHT_MAX, y0 - LIGHT_MAX, span, span);
+  let memory = tileMemory.get(p.id);
+  if (!memory) tileMemory.set(p.id, (memory = new Uint8Array(WORLD_W * WORLD_H)));
+  const eye = bodyCell(p);
+  const tiles = new Array(size * size);
+  const fog = new Uint8Array(size * size);
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      const x = x0 + dx;
+      const y = y0 + dy;
+      const i = dy * size + dx;
+      const inWorld = x >= 0 && y >= 0 && x < WORLD_W && y < WORLD_H;
+      const lit = light[(dy + LIGHT_MAX) * span + dx + LIGHT_MAX] > 0;
+      const near = Math.abs(x - eye.x) <= 1 && Math.abs(y - eye.y) <= 1;
+      if ((lit || near) && ((x === eye.x && y === eye.y) || hasLineOfSight(eye.x, eye.y, x, y))) {
+        tiles[i] = getTile(x, y);
+        fog[i] = FOG.visible;
+        if (inWorld) memory[idx(x, y)] = tiles[i] + 1;
+        continue;
+      }
+      const seen = inWorld ? memory[idx(x, y)] : 0;
+      tiles[i] = seen ? seen - 1 : null;
+      fog[i] = seen ? FOG.remembered : FOG.unknown;
+    }
+  }
+  return { x0, y0, size, tiles, fog, light: light[(eye.y - y0 + LIGHT_MAX) * span + eye.x - x0 + LIGHT_MAX] };
+}
+
+function sees(sight, x, y) {
+  const dx = Math.floor(x) - sight.x0;
+  const dy = Math.floor(y) - sight.y0;
+  return dx >= 0 && dy >= 0 && dx < sight.size && dy < sight.size && sight.fog[dy * sight.size + dx] === FOG.visible;
+}
+
+function seesBody(sight, e) {
+  const { x, y } = bodyCell(e);
+  return sees(sight, x, y);
+}
+
+// sight rows for a keyframe
+function sightRows(sight, key) {
+  return Array.from({ length: sight.size }, (_, dy) => Array.from(sight[key].slice(dy * sight.size, (dy + 1) * sight.size)));
 }
 
 function getRectTiles(x, y, w, h) {
@@ -484,452 +1478,2593 @@ function getRectTiles(x, y, w, h) {
 }
 
 function nearbyChests(p) {
+  return chests.keysWithin(p.x, p.y, VIEW_RADIUS).map((k) => {
+    const { x, y } = chests.position(k);
+    return chestView(p, x, y, chests.get(k));
+  });
+}
+
+// Chests: placed chest tiles have an owner and a lock mode; death drops are
+// tile-less, owned by the victim, open to anyone once `publicAt` passes, and
+// removed DEATH_CHEST_TTL_MS after that.
+function chestKey(x, y) {
+  return `${x},${y}`;
+}
+
+function chestCapacity(chest) {
+  if (chest.dropped) return Infinity;
+  return tileDef(TILE.CHEST)?.container?.slots || 16;
+}
+
+// slots used: each item takes ceil(count / stack) slots
+function chestSlotsUsed(items) {
+  let used = 0;
+  for (const [item, count] of Object.entries(items)) {
+    if (count > 0) used += Math.ceil(count / (ITEM_DEFS.items?.[item]?.stack || 1));
+  }
+  return used;
+}
+
+function canAccessChest(p, chest) {
+  if (!chest.owner || chest.owner === p.id) return true;
+  if (chest.publicAt && Date.now() >= chest.publicAt) return true;
+  const mode = chest.mode || 'public';
+  if (mode === 'public') return true;
+  if (mode === 'team') return (chest.allow || []).includes(p.id) || sameFaction(p, players.get(chest.owner));
+  return false;
+}
+
+// Only the owner may break a chest tile, and only once it is empty
+function canBreakChest(actor, x, y) {
+  const chest = chests.get(chestKey(x, y));
+  if (!chest) return true;
+  return (!chest.owner || chest.owner === actor.id) && chestSlotsUsed(chest.items) === 0;
+}
+
+function chestView(p, x, y, chest) {
+  const access = canAccessChest(p, chest);
+  const out = { x, y, owner: chest.owner || null, mode: chest.mode || 'public', locked: !access };
+  if (chest.dropped) out.dropped = true;
+  if (chest.publicAt) out.publicAt = chest.publicAt;
+  if (access) {
+    out.items = chest.items || {};
+    out.slots = chestSlotsUsed(out.items);
+    out.capacity = chestCapacity(chest);
+  }
+  return out;
+}
+
+function requireChest(p, x, y) {
+  const chest = chests.get(chestKey(x, y));
+  if (!chest) fail('NOT_FOUND', 'no chest here');
+  if (!canAccessChest(p, chest)) fail('ACCESS_DENIED', 'chest is locked');
+  if (!canUseClaimedChest(p, x, y)) fail('PROTECTED', 'chest is inside someone else\'s claim');
+  return chest;
+}
+
+// Claims: player/faction rectangles, plus built-in protected zones around
+// villages (nobody may dig or build) and each player's spawn (owner only).
+// NPCs never modify claimed or protected tiles.
+function rectContains(r, x, y) {
+  return x >= r.x && y >= r.y && x < r.x + r.w && y < r.y + r.h;
+}
+
+function rectsOverlap(a, b) {
+  return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+}
+
+// Built-in zones, cached: villages and joins invalidate the cache, and it expires on
+// its own so spawn zones of players who stopped playing lapse
+let zoneCache = null; // {zones, builtAt}
+
+function invalidateZones() {
+  zoneCache = null;
+}
+
+function protectedZones() {
+  const now = Date.now();
+  if (zoneCache && now - zoneCache.builtAt < ZONE_CACHE_MS) return zoneCache.zones;
   const out = [];
-  for (const [k, v] of chests.entries()) {
-    const [x, y] = k.split(',').map(Number);
-    if (Math.abs(x - p.x) <= VIEW_RADIUS && Math.abs(y - p.y) <= VIEW_RADIUS) {
-      out.push({ x, y, items: v.items || {} });
-    }
+  villages.forEach((v, i) => {
+    const r = VILLAGE_PROTECT_RADIUS;
+    const box = v.bbox
+      ? { x: v.bbox.x - 2, y: v.bbox.y - 2, w: v.bbox.w + 4, h: v.bbox.h + r }
+      : { x: v.x - r, y: v.y - r, w: r * 2 + 1, h: r * 2 + 1 };
+    out.push({ id: `village:${i}`, kind: 'village', name: v.name || `Village ${i + 1}`, owner: null, ...box });
+  });
+  for (const p of players.values()) {
+    if (!p.spawn || now - (p.lastSeen || 0) > SPAWN_PROTECT_MS) continue;
+    const r = SPAWN_PROTECT_RADIUS;
+    out.push({ id: `spawn:${p.id}`, kind: 'spawn', name: `${p.name}'s spawn`, owner: p.id, x: p.spawn.x - r, y: p.spawn.y - r, w: r * 2 + 1, h: r * 2 + 1 });
   }
+  zoneCache = { zones: out, builtAt: now };
+  return out;
+}
+
+function claimView(c) {
+  return {
+    id: c.id,
+    kind: c.kind || 'claim',
+    name: c.name,
+    owner: c.owner,
+    ownerName: c.owner ? players.get(c.owner)?.name ?? null : null,
+    faction: c.faction || null,
+    x: c.x,
+    y: c.y,
+    w: c.w,
+    h: c.h,
+  };
+}
+
+// All claims and protected zones covering the tile
+function claimsAt(x, y) {
+  const out = [];
+  for (const c of claims.values()) if (rectContains(c, x, y)) out.push(c);
+  for (const z of protectedZones()) if (rectContains(z, x, y)) out.push(z);
   return out;
 }
 
+function claimPermits(actor, c) {
+  if (!players.has(actor.id)) return false; // NPCs
+  if (c.owner && c.owner === actor.id) return true;
+  if (c.kind) return false; // village: nobody; spawn: owner only
+  if (c.faction && actor.faction === c.faction) return true;
+  return (c.allow || []).includes(actor.id);
+}
+
+// May `actor` (player or NPC) dig or build at (x, y)?
+function canModify(actor, x, y) {
+  return claimsAt(x, y).every((c) => claimPermits(actor, c));
+}
+
+// Chests inside player claims need claim access; protected zones only guard terrain.
+// A chest's owner always keeps access to it.
+function canUseClaimedChest(p, x, y) {
+  if (chests.get(chestKey(x, y))?.owner === p.id) return true;
+  for (const c of claims.values()) {
+    if (rectContains(c, x, y) && !claimPermits(p, c)) return false;
+  }
+  return true;
+}
+
+function requireModify(p, x, y) {
+  const blocker = claimsAt(x, y).find((c) => !claimPermits(p, c));
+  if (blocker) fail('PROTECTED', `${blocker.name} is protected`, { claim: claimView(blocker) });
+}
+
+// Where a death chest for `ownerId` goes: (x, y), or the nearest spot above it that is
+// free or already holds one of their death chests
+function deathChestKey(ownerId, x, y) {
+  for (let dy = 0; dy < WORLD_H; dy++) {
+    const key = chestKey(x, y - dy);
+    const existing = chests.get(key);
+    if (!existing || (existing.dropped && existing.owner === ownerId)) return key;
+  }
+  return chestKey(x, y);
+}
+
+// Drop `inv` into a death chest at (x, y), or the nearest free spot above it
+function dropDeathChest(owner, x, y, inv) {
+  if (!Object.values(inv || {}).some((count) => count > 0)) return;
+  const key = deathChestKey(owner.id, x, y);
+  const chest = chests.get(key) || { items: {}, owner: owner.id, mode: 'private', dropped: true };
+  for (const [item, count] of Object.entries(inv || {})) {
+    if (count > 0) chest.items[item] = (chest.items[item] || 0) + count;
+  }
+  chest.publicAt = Date.now() + DEATH_CHEST_GRACE_MS;
+  if (chestSlotsUsed(chest.items) > 0) chests.set(key, chest);
+}
+
+function expireDeathChests() {
+  const now = Date.now();
+  for (const [key, chest] of chests) {
+    if (chest.dropped && now >= (chest.publicAt || 0) + DEATH_CHEST_TTL_MS) chests.delete(key);
+  }
+}
+
 function nearbyAnimals(p) {
+  return animals.within(p.x, p.y, VIEW_RADIUS);
+}
+
+function nearbyNpcs(p) {
+  return npcs.within(p.x, p.y, VIEW_RADIUS);
+}
+
+// Delta tick stream: one keyframe, then only what changed since the last tick
+function createTickStream(full = false) {
+  return {
+    seq: 0,
+    full, // legacy clients: every tick is a keyframe
+    keyframe: true, // next tick must be a keyframe
+    tiles: null, // {x0, y0, size, data}
+    entities: new Map(), // "kind:id" -> {field: json}
+    inv: {},
+    player: {},
+    clock: null, // last clock sent; deltas resend it when day, phase or light change
+  };
+}
+
+function tickPlayerView(p) {
+  const out = {};
+  for (const k of TICK_PLAYER_FIELDS) out[k] = p[k];
+  out.look = p.look ?? 1;
+  out.mining = p.mining ? { x: p.mining.x, y: p.mining.y, progress: miningProgress(p.mining) } : null;
+  out.crafting = p.crafting
+    ? { recipe: p.crafting.recipe, progress: p.crafting.durationMs ? Math.min(1, (Date.now() - p.crafting.startedAt) / p.crafting.durationMs) : 1 }
+    : null;
+  out.route = p.route ? { x: p.route.x, y: p.route.y, step: p.route.i, steps: p.route.path.length } : null;
+  return out;
+}
+
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+// entities in view that p can actually see
+function tickEntities(p, nearbyPlayers, sight) {
+  const out = new Map();
+  for (const o of nearbyPlayers) out.set(`player:${o.id}`, o);
+  for (const c of nearbyChests(p)) if (sees(sight, c.x, c.y)) out.set(`chest:${c.x},${c.y}`, { id: `${c.x},${c.y}`, ...c });
+  for (const a of nearbyAnimals(p)) if (seesBody(sight, a)) out.set(`animal:${a.id}`, a);
+  for (const n of nearbyNpcs(p)) if (seesBody(sight, n)) out.set(`npc:${n.id}`, n);
+  return out;
+}
+
+function entityFields(e) {
+  const out = {};
+  for (const [k, v] of Object.entries(e)) if (v !== undefined) out[k] = JSON.stringify(v);
+  return out;
+}
+
+function splitEntityKey(key) {
+  const i = key.indexOf(':');
+  return { kind: key.slice(0, i), id: key.slice(i + 1) };
+}
+
+function encodeKeyframe(stream, p, nearbyPlayers, entities, sight) {
+  stream.tiles = { x0: sight.x0, y0: sight.y0, size: sight.size, data: sight.tiles, fog: sight.fog };
+  stream.entities = new Map();
+  for (const [key, e] of entities) stream.entities.set(key, entityFields(e));
+  stream.inv = { ...p.inv };
+  stream.player = tickPlayerView(p);
+  stream.keyframe = false;
+  stream.clock = worldClock();
+  const byKind = (kind) => Array.from(entities.entries())
+    .filter(([key]) => splitEntityKey(key).kind === kind)
+    .map(([, e]) => e);
+  return {
+    type: 'tick',
+    seq: stream.seq,
+    keyframe: true,
+    player: { ...stream.player, inv: p.inv },
+    players: nearbyPlayers,
+    tiles: sightRows(sight, 'tiles'),
+    fog: sightRows(sight, 'fog'),
+    chests: byKind('chest'),
+    animals: byKind('animal'),
+    npcs: byKind('npc'),
+    clock: stream.clock,
+  };
+}
+
+function encodeDelta(stream, p, entities, sight) {
+  const payload = { type: 'tick', seq: stream.seq, keyframe: false };
+
+  const clock = worldClock();
+  if (['day', 'phase', 'light'].some((k) => clock[k] !== stream.clock?.[k])) {
+    payload.clock = clock;
+    stream.clock = clock;
+  }
+
+  // player fields
+  const view = tickPlayerView(p);
+  const player = {};
+  for (const k of TICK_PLAYER_FIELDS) {
+    if (!sameValue(view[k], stream.player[k])) player[k] = view[k];
+  }
+  if (Object.keys(player).length) payload.player = player;
+  stream.player = view;
+
+  // inventory: changed counts, 0 for removed
+  const inv = {};
+  for (const [k, v] of Object.entries(p.inv || {})) {
+    if (stream.inv[k] !== v) inv[k] = v;
+  }
+  for (const k of Object.keys(stream.inv)) {
+    if (!(k in (p.inv || {}))) inv[k] = 0;
+  }
+  if (Object.keys(inv).length) payload.inv = inv;
+  stream.inv = { ...p.inv };
+
+  // tiles: [x, y, tile] in world coords, for changed tiles and tiles scrolled into view;
+  // [x, y, tile, fog] for tiles out of sight (remembered tile, or null if unknown)
+  const prev = stream.tiles;
+  const { x0, y0, size } = sight;
+  const tiles = [];
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      const i = dy * size + dx;
+      const t = sight.tiles[i];
+      const fog = sight.fog[i];
+      const px = x0 + dx - prev.x0;
+      const py = y0 + dy - prev.y0;
+      const j = py * prev.size + px;
+      const inPrev = px >= 0 && py >= 0 && px < prev.size && py < prev.size;
+      if (inPrev && prev.data[j] === t && prev.fog[j] === fog) continue;
+      tiles.push(fog === FOG.visible ? [x0 + dx, y0 + dy, t] : [x0 + dx, y0 + dy, t, fog]);
+    }
+  }
+  if (tiles.length) payload.tiles = tiles;
+  stream.tiles = { x0, y0, size, data: sight.tiles, fog: sight.fog };
+
+  // entities: enter (full), update (changed fields), leave (kind + id)
+  const enter = [];
+  const update = [];
+  const leave = [];
+  const next = new Map();
+  for (const [key, e] of entities) {
+    const { kind } = splitEntityKey(key);
+    const fields = entityFields(e);
+    next.set(key, fields);
+    const before = stream.entities.get(key);
+    if (!before) {
+      enter.push({ kind, ...e });
+      continue;
+    }
+    const changed = {};
+    let dirty = false;
+    for (const [k, v] of Object.entries(fields)) {
+      if (before[k] !== v) {
+        changed[k] = e[k];
+        dirty = true;
+      }
+    }
+    for (const k of Object.keys(before)) {
+      if (!(k in fields)) {
+        changed[k] = null;
+        dirty = true;
+      }
+    }
+    if (dirty) update.push({ kind, id: e.id, ...changed });
+  }
+  for (const key of stream.entities.keys()) {
+    if (!next.has(key)) leave.push(splitEntityKey(key));
+  }
+  stream.entities = next;
+  if (enter.length) payload.enter = enter;
+  if (update.length) payload.update = update;
+  if (leave.length) payload.leave = leave;
+  return payload;
+}
+
+function encodeTick(stream, p, nearbyPlayers) {
+  const sight = playerSight(p);
+  p.light = sight.light;
+  const visible = nearbyPlayers.filter((o) => o.id === p.id || seesBody(sight, o));
+  const entities = tickEntities(p, visible, sight);
+  stream.seq += 1;
+  if (stream.full || stream.keyframe || !stream.tiles) {
+    return encodeKeyframe(stream, p, visible, entities, sight);
+  }
+  return encodeDelta(stream, p, entities, sight);
+}
+
+function isBelowDirt(x, y) {
+  const surface = surfaceMap[Math.max(0, Math.min(WORLD_W - 1, Math.floor(x)))] || Math.floor(WORLD_H * 0.25);
+  return y > surface;
+}
+
+// Kinematics shared by players, NPCs and animals. Every entity is a `body`-sized box
+// whose top-left corner is (x, y), with velocity (vx, vy) in tiles per tick. Each
+// tick it accelerates toward its walking intent (moveX, a multiple of its walking
+// speed, negative = left), falls under gravity,
+// and moves one axis at a time against solid tiles, stepping up single blocks. The
+// step uses no randomness or wall-clock time, so clients can replay it exactly.
+const PHYSICS = {
+  body: { w: 0.8, h: 0.8 },
+  gravity: 0.06, // tiles/tick²
+  terminalVy: 0.9, // tiles/tick, below 1 so a fall never skips a tile
+  jumpVy: 0.44, // about 1.8 tiles high
+  groundAccel: 0.08,
+  airAccel: 0.03,
+  playerSpeed: 0.3, // tiles/tick
+  maxSpeed: 0.9,
+  walkTicks: 4, // a move action walks for this many ticks
+  safeFall: 4, // tiles
+  fallDamage: 6, // per tile beyond safeFall
+};
+const EPS = 1e-6;
+
+function solidAt(tx, ty) {
+  if (tx < 0 || ty < 0 || tx >= WORLD_W || ty >= WORLD_H) return true;
+  return isSolid(world[idx(tx, ty)]);
+}
+
+function boxHits(x, y) {
+  const { w, h } = PHYSICS.body;
+  for (let ty = Math.floor(y); ty <= Math.floor(y + h - EPS); ty++) {
+    for (let tx = Math.floor(x); tx <= Math.floor(x + w - EPS); tx++) {
+      if (solidAt(tx, ty)) return true;
+    }
+  }
+  return false;
+}
+
+function approach(v, target, step) {
+  return v < target ? Math.min(target, v + step) : Math.max(target, v - step);
+}
+
+const round4 = (v) => Math.round(v * 1e4) / 1e4;
+
+// true if the entity can take a step in dir, possibly stepping up a block
+function canAdvance(e, dir) {
+  const nx = e.x + dir * 0.5;
+  return !boxHits(nx, e.y) || (!boxHits(e.x, e.y - 1) && !boxHits(nx, e.y - 1));
+}
+
+// the tile directly ahead of the entity's feet row
+function frontTile(e, dir) {
+  const { w, h } = PHYSICS.body;
+  const x = dir > 0 ? Math.floor(e.x + w + EPS) : Math.floor(e.x - EPS);
+  return { x, y: Math.floor(e.y + h / 2) };
+}
+
+function inFluid(e) {
+  const c = bodyCell(e);
+  return !!fluidDef(getTile(c.x, c.y));
+}
+
+function bodyState(e) {
+  return { x: e.x, y: e.y, vx: e.vx || 0, vy: e.vy || 0, onGround: !!e.onGround };
+}
+
+// Advance one tick at walking speed `speed`. Returns fall damage taken on landing.
+function stepBody(e, speed) {
+  const { w, h } = PHYSICS.body;
+  // dig out entities left inside a solid tile (old saves, landed blocks)
+  for (let i = 0; i < 3 && boxHits(e.x, e.y); i++) e.y = Math.floor(e.y) - 1;
+
+  const fluid = fluidDef(getTile(Math.floor(e.x + w / 2), Math.floor(e.y + h / 2)));
+  const slow = fluid?.slow ?? 1;
+  const wasOnGround = !!e.onGround;
+  if (e.walkTicks > 0 && --e.walkTicks === 0) e.moveX = 0;
+  const target = Math.max(-PHYSICS.maxSpeed, Math.min(PHYSICS.maxSpeed, (e.moveX || 0) * speed)) * slow;
+  e.vx = approach(e.vx || 0, target, wasOnGround ? PHYSICS.groundAccel : PHYSICS.airAccel);
+  e.vy = Math.min(PHYSICS.terminalVy * slow, (e.vy || 0) + PHYSICS.gravity * slow);
+  if (e.jumpQueued && (wasOnGround || fluid)) e.vy = -PHYSICS.jumpVy * (fluid ? 0.6 : 1);
+  e.jumpQueued = false;
+
+  // horizontal, stepping up onto a single block when walking on the ground
+  e.blockedX = 0;
+  if (e.vx) {
+    const nx = e.x + e.vx;
+    if (!boxHits(nx, e.y)) {
+      e.x = nx;
+    } else if (wasOnGround && !boxHits(e.x, e.y - 1) && !boxHits(nx, e.y - 1)) {
+      e.y -= 1;
+      e.x = nx;
+    } else {
+      e.x = e.vx > 0 ? Math.floor(nx + w) - w : Math.floor(nx) + 1;
+      e.blockedX = Math.sign(e.vx);
+      e.vx = 0;
+    }
+  }
+
+  // vertical
+  e.onGround = false;
+  const ny = e.y + e.vy;
+  if (!boxHits(e.x, ny)) {
+    e.y = ny;
+  } else {
+    if (e.vy > 0) {
+      e.y = Math.floor(ny + h) - h;
+      e.onGround = true;
+    } else {
+      e.y = Math.floor(ny) + 1;
+    }
+    e.vy = 0;
+  }
+  e.x = round4(e.x);
+  e.y = round4(e.y);
+  e.vx = round4(e.vx);
+  e.vy = round4(e.vy);
+
+  // fall damage from the highest point since leaving the ground; fluids break falls
+  if (fluid || e.onGround) {
+    const dist = fluid || e.fallFrom == null ? 0 : e.y - e.fallFrom;
+    e.fallFrom = null;
+    return dist > PHYSICS.safeFall ? Math.round((dist - PHYSICS.safeFall) * PHYSICS.fallDamage) : 0;
+  }
+  e.fallFrom = Math.min(e.fallFrom ?? e.y, e.y);
+  return 0;
+}
+
+// Damage from the world (falls, fluids, blocks) to any kind of entity
+function hurtEntity(e, dmg, cause) {
+  if (players.get(e.id) === e) return damagePlayer(e, dmg, null, cause);
+  e.hp = Math.max(0, e.hp - dmg);
+  if (e.hp > 0) return false;
+  if (npcs.get(e.id) === e) killNpc(e, null, cause);
+  else animals.delete(e.id);
+  return true;
+}
+
+// Pathfinding: A* over standing cells, the tile a body fills while it rests on
+// something solid or floats in a fluid. From a cell a body can walk one tile sideways,
+// step up one block, drop off a ledge (no further than a safe fall by default) or
+// swim. With `dig`, tiles the actor could mine are passable at a cost per hardness;
+// each step lists them under `dig`. Paths exclude the start cell.
+const PATH_MAX_DIST = 64; // tiles from the start, on either axis
+const PATH_MAX_NODES = 8000;
+const PATH_DIG_COST = 2; // per point of hardness
+const PATH_STALL_MS = 3000;
+const PATH_REPLANS = 3;
+const PATH_QUERY_MS = 1000; // GET /path searches per player
+
+function bodyCell(e) {
+  const { w, h } = PHYSICS.body;
+  return { x: Math.floor(e.x + w / 2), y: Math.floor(e.y + h / 2) };
+}
+
+function isStandable(x, y) {
+  return !solidAt(x, y) && (solidAt(x, y + 1) || !!fluidDef(getTile(x, y)));
+}
+
+// hardness of a tile the pather may tunnel through, or null
+function digHardness(x, y, opts) {
+  if (!opts.dig || x < 0 || y < 0 || x >= WORLD_W || y >= WORLD_H) return null;
+  const def = tileDef(getTile(x, y));
+  if (!def?.solid || def.container || def.station) return null;
+  if ((def.minTier || 0) > (opts.actor ? toolTier(opts.actor) : 0)) return null;
+  if (opts.protected.some((c) => rectContains(c, x, y))) return null;
+  return def.hardness ?? 1;
+}
+
+function pathNeighbors(x, y, opts) {
   const out = [];
-  for (const a of animals.values()) {
-    if (Math.abs(a.x - p.x) <= VIEW_RADIUS && Math.abs(a.y - p.y) <= VIEW_RADIUS) {
-      out.push(a);
+  // extra cost to get through (tx, ty), noting tiles to dig; null if impassable
+  const clear = (tx, ty, dig) => {
+    if (!solidAt(tx, ty)) return 0;
+    const hardness = digHardness(tx, ty, opts);
+    if (hardness == null) return null;
+    dig.push([tx, ty]);
+    return hardness * PATH_DIG_COST;
+  };
+  const add = (tx, ty, cost, dig) => out.push({ x: tx, y: ty, cost, ...(dig.length ? { dig } : {}) });
+  // fall from (tx, ty) to the first standing cell
+  const drop = (tx, ty, cost, dig) => {
+    for (let k = 0; k <= opts.maxDrop; k++) {
+      if (solidAt(tx, ty + k + 1) || fluidDef(getTile(tx, ty + k))) return add(tx, ty + k, cost + k * 0.5, dig);
     }
+  };
+  for (const dir of [-1, 1]) {
+    const side = [];
+    const cost = clear(x + dir, y, side);
+    if (cost != null) drop(x + dir, y, 1 + cost, side);
+    if (!solidAt(x + dir, y)) continue;
+    // step up onto the block ahead
+    const up = [];
+    const head = clear(x, y - 1, up);
+    const top = head == null ? null : clear(x + dir, y - 1, up);
+    if (top != null) add(x + dir, y - 1, 1.5 + head + top, up);
   }
+  // swim up, sink, or dig down
+  const fluid = fluidDef(getTile(x, y));
+  if (fluid && !solidAt(x, y - 1)) add(x, y - 1, 2, []);
+  const down = [];
+  const below = clear(x, y + 1, down);
+  if (below != null && (fluid || down.length)) drop(x, y + 1, (fluid ? 2 : 1) + below, down);
   return out;
 }
 
-function nearbyNpcs(p) {
-  const out = [];
-  for (const n of npcs.values()) {
-    if (n.roamX == null) n.roamX = Math.floor(rand() * WORLD_W);
-    if (Math.abs(n.x - n.roamX) < 5) n.roamX = Math.floor(rand() * WORLD_W);
-    if (n.y > WORLD_H * 0.8) {
-      tryMove(n, 0, -1);
+function heapPush(heap, node) {
+  heap.push(node);
+  for (let i = heap.length - 1; i > 0;) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].f <= heap[i].f) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    heap[0] = last;
+    for (let i = 0; ;) {
+      const l = i * 2 + 1;
+      const r = l + 1;
+      let m = i;
+      if (l < heap.length && heap[l].f < heap[m].f) m = l;
+      if (r < heap.length && heap[r].f < heap[m].f) m = r;
+      if (m === i) break;
+      [heap[m], heap[i]] = [heap[i], heap[m]];
+      i = m;
     }
-    if (n.stats) n.stats.playtimeMs = (n.stats.playtimeMs || 0) + 100;
-    if (Math.abs(n.x - p.x) <= VIEW_RADIUS && Math.abs(n.y - p.y) <= VIEW_RADIUS) {
-      out.push(n);
+  }
+  return top;
+}
+
+// A cheap path between two cells: {path: [{x, y, dig?}], cost}, or null.
+// opts: {dig, actor (whose tool tier and claims limit digging), maxDrop}
+function findPath(from, to, opts = {}) {
+  if (Math.abs(to.x - from.x) > PATH_MAX_DIST || Math.abs(to.y - from.y) > PATH_MAX_DIST) return null;
+  if (!opts.dig && !isStandable(to.x, to.y)) return null;
+  // claims the actor may not dig in, gathered once rather than per tile
+  const area = { x: from.x - PATH_MAX_DIST, y: from.y - PATH_MAX_DIST, w: PATH_MAX_DIST * 2 + 1, h: PATH_MAX_DIST * 2 + 1 };
+  const guarded = opts.dig ? [...claims.values(), ...protectedZones()] : [];
+  opts = {
+    maxDrop: PHYSICS.safeFall,
+    ...opts,
+    protected: guarded.filter((c) => rectsOverlap(area, c) && !(opts.actor && claimPermits(opts.actor, c))),
+  };
+  const key = (x, y) => y * WORLD_W + x;
+  // weighted A*: overestimating a little trades the cheapest path for far fewer nodes
+  const estimate = (x, y) => (Math.abs(to.x - x) + Math.abs(to.y - y) * 0.5) * 1.5;
+  const open = [{ x: from.x, y: from.y, g: 0, f: estimate(from.x, from.y) }];
+  const best = new Map([[key(from.x, from.y), 0]]);
+  const via = new Map(); // key -> {prev, step}
+  for (let expanded = 0; open.length && expanded < PATH_MAX_NODES; expanded++) {
+    const cur = heapPop(open);
+    const ck = key(cur.x, cur.y);
+    if (cur.g > best.get(ck)) continue;
+    if (cur.x === to.x && cur.y === to.y) {
+      const path = [];
+      for (let k = ck; via.has(k); k = via.get(k).prev) path.push(via.get(k).step);
+      return { path: path.reverse(), cost: Math.round(cur.g * 10) / 10 };
+    }
+    for (const { cost, ...step } of pathNeighbors(cur.x, cur.y, opts)) {
+      if (Math.abs(step.x - from.x) > PATH_MAX_DIST || Math.abs(step.y - from.y) > PATH_MAX_DIST) continue;
+      const g = cur.g + cost;
+      const k = key(step.x, step.y);
+      if (best.has(k) && best.get(k) <= g) continue;
+      best.set(k, g);
+      via.set(k, { prev: ck, step });
+      heapPush(open, { x: step.x, y: step.y, g, f: g + estimate(step.x, step.y) });
+    }
+  }
+  return null;
+}
+
+// Steer a body one tick along e.route ({path, i, progressAt}). Returns 'arrived',
+// 'blocked', a tile {x, y} to dig before going on, or null while under way.
+function steerRoute(e) {
+  const r = e.route;
+  const cell = bodyCell(e);
+  const at = (step) => step.x === cell.x && step.y === cell.y;
+  while (r.i < r.path.length - 1 && at(r.path[r.i])) {
+    r.i += 1;
+    r.progressAt = worldTime;
+  }
+  e.moveX = 0;
+  const step = r.path[r.i];
+  const tx = step ? step.x + (1 - PHYSICS.body.w) / 2 : e.x;
+  // the last cell counts once the body has come to rest in it
+  if (!step || (r.i === r.path.length - 1 && at(step) && Math.abs(tx - e.x) < 0.1 && Math.abs(e.vx || 0) < 0.05)) {
+    r.i = r.path.length;
+    return 'arrived';
+  }
+  const dig = step.dig?.find(([x, y]) => isSolid(getTile(x, y)));
+  if (dig) {
+    r.progressAt = worldTime;
+    return { x: dig[0], y: dig[1] };
+  }
+  if (solidAt(step.x, step.y) || worldTime - r.progressAt > PATH_STALL_MS) return 'blocked';
+  // ease into the middle of the next cell so drops line up with the shaft
+  e.moveX = Math.max(-1, Math.min(1, (tx - e.x) * 2));
+  if (step.y < cell.y && inFluid(e)) e.jumpQueued = true;
+  return null;
+}
+
+// Fluids: registry tiles with `fluid` flow as a cellular automaton. Only cells in
+// `fluidActive` are stepped, and only near active players; a cell that cannot move
+// drops out until a tile next to it changes. Cells far from players are parked by
+// chunk and woken when a player comes near. Moves go through setTile like mining.
+const fluidActive = new Set(); // world indices
+const fluidParked = new Map(); // chunk index -> Set of world indices
+const FLUID_BUDGET = 4000; // cells stepped per tick
+const FLUID_RADIUS = 64; // tiles around active players where fluids flow
+const AIR_MAX_MS = 10000; // breath held under a fluid with `drowns`
+const DROWN_DAMAGE = 10; // per second once out of breath
+let fluidTicks = 0;
+
+function fluidDef(t) {
+  return tileDef(t)?.fluid || null;
+}
+
+function wakeFluids(x, y) {
+  for (const [dx, dy] of [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1]]) {
+    const nx = x + dx;
+    const ny = y + dy;
+    if (nx < 0 || ny < 0 || nx >= WORLD_W || ny >= WORLD_H) continue;
+    if (fluidDef(world[idx(nx, ny)])) fluidActive.add(idx(nx, ny));
+  }
+}
+
+// after generating or loading the world every fluid cell gets one step to settle
+function scanFluids() {
+  fluidActive.clear();
+  fluidParked.clear();
+  for (let i = 0; i < world.length; i++) if (fluidDef(world[i])) fluidActive.add(i);
+}
+
+// open = nothing to mine (so torches hold fluids back) and no fluid
+function isOpen(t) {
+  return !isBreakable(t) && !fluidDef(t);
+}
+
+// what a vacated cell becomes: open sky continues downward, anything else is air
+function emptyTileAt(x, y) {
+  return y === 0 || getTile(x, y - 1) === TILE.SKY ? TILE.SKY : TILE.AIR;
+}
+
+function moveFluid(x, y, nx, ny, t) {
+  setTile(nx, ny, t);
+  setTile(x, y, emptyTileAt(x, y));
+}
+
+// One cell: react with touching fluids, fall, or spread sideways when it would fall
+// off a ledge or has fluid pressing down on it. Returns true if anything changed.
+function stepFluid(i) {
+  const t = world[i];
+  const def = fluidDef(t);
+  const x = i % WORLD_W;
+  const y = Math.floor(i / WORLD_W);
+  for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+    const product = def.reacts?.[tileDef(getTile(x + dx, y + dy))?.name];
+    if (product && Object.hasOwn(TILE, product.toUpperCase())) {
+      setTile(x, y, TILE[product.toUpperCase()]);
+      return true;
+    }
+  }
+  if (y + 1 < WORLD_H && isOpen(getTile(x, y + 1))) {
+    moveFluid(x, y, x, y + 1, t);
+    return true;
+  }
+  const pressed = y > 0 && fluidDef(getTile(x, y - 1));
+  const dirs = rand() < 0.5 ? [-1, 1] : [1, -1];
+  for (const dx of dirs) {
+    const nx = x + dx;
+    if (nx < 0 || nx >= WORLD_W || !isOpen(getTile(nx, y))) continue;
+    if (pressed || (y + 1 < WORLD_H && isOpen(getTile(nx, y + 1)))) {
+      moveFluid(x, y, nx, y, t);
+      return true;
     }
   }
+  return false;
+}
+
+// chunks within FLUID_RADIUS of an active player
+function fluidChunks() {
+  const out = new Set();
+  for (const p of players.values()) {
+    if (!isActivePlayer(p)) continue;
+    const [cx0, cx1] = [p.x - FLUID_RADIUS, p.x + FLUID_RADIUS].map((v) => Math.floor(Math.max(0, Math.min(WORLD_W - 1, v)) / CHUNK_SIZE));
+    const [cy0, cy1] = [p.y - FLUID_RADIUS, p.y + FLUID_RADIUS].map((v) => Math.floor(Math.max(0, Math.min(WORLD_H - 1, v)) / CHUNK_SIZE));
+    for (let cy = cy0; cy <= cy1; cy++) for (let cx = cx0; cx <= cx1; cx++) out.add(cy * CHUNKS_X + cx);
+  }
   return out;
 }
 
-function applyGravity(entity) {
-  const x = Math.floor(entity.x);
-  const y = Math.floor(entity.y);
-  const below = getTile(x, y + 1);
-  if (!isSolid(below) && y + 1 < WORLD_H) {
-    entity.y = Math.min(WORLD_H - 1, y + 1);
-  }
-  // prevent clipping into solids
-  const here = getTile(x, Math.floor(entity.y));
-  if (isSolid(here)) {
-    entity.y = Math.max(0, y - 1);
+function tickFluids() {
+  fluidTicks++;
+  if (!fluidActive.size && !fluidParked.size) return;
+  const near = fluidChunks();
+  for (const ci of near) {
+    const parked = fluidParked.get(ci);
+    if (!parked) continue;
+    for (const i of parked) fluidActive.add(i);
+    fluidParked.delete(ci);
+  }
+  if (!fluidActive.size) return;
+  // bottom rows first so falling columns move together
+  const batch = Array.from(fluidActive).sort((a, b) => b - a);
+  fluidActive.clear();
+  let stepped = 0;
+  for (const i of batch) {
+    const def = fluidDef(world[i]);
+    if (!def) continue;
+    const x = i % WORLD_W;
+    const y = Math.floor(i / WORLD_W);
+    const ci = Math.floor(y / CHUNK_SIZE) * CHUNKS_X + Math.floor(x / CHUNK_SIZE);
+    if (!near.has(ci)) {
+      if (!fluidParked.has(ci)) fluidParked.set(ci, new Set());
+      fluidParked.get(ci).add(i);
+      continue;
+    }
+    if (stepped >= FLUID_BUDGET || fluidTicks % (def.flowEvery || 1) !== 0) {
+      fluidActive.add(i);
+      continue;
+    }
+    stepped++;
+    stepFluid(i);
+  }
+}
+
+// Breath and fluid damage for an entity whose body centre is in a fluid tile, the
+// same cell inFluid checks. Returns {dmg, cause} once per second when it gets hurt.
+function fluidHazard(e) {
+  const c = bodyCell(e);
+  const t = getTile(c.x, c.y);
+  const def = fluidDef(t);
+  if (def?.drowns) e.air = Math.max(0, (e.air ?? AIR_MAX_MS) - TICK_MS);
+  else if (e.air !== undefined && e.air < AIR_MAX_MS) e.air = Math.min(AIR_MAX_MS, e.air + TICK_MS * 5);
+  if (worldTime % 1000 !== 0) return null;
+  if (def?.damage) return { dmg: def.damage, cause: tileDef(t).name };
+  if (e.air === 0) return { dmg: DROWN_DAMAGE, cause: 'drowning' };
+  return null;
+}
+
+// Falling blocks: registry tiles with `falls` drop one row per tick while unsupported.
+// Removing a solid tile also queues a support check next to it: a small solid body
+// that is no longer attached to anything bigger comes down as loose blocks. Both run
+// from queues in the tick loop, fed by setTile, never by scanning the world.
+const fallActive = new Set(); // world indices of blocks that may fall
+const looseTiles = new Set(); // collapsed blocks that fall whatever their type
+const fallDist = new Map(); // index -> rows fallen so far, for landing fx
+const supportChecks = new Set(); // indices of removed solid tiles
+const FALL_BUDGET = 2000;
+const SUPPORT_BUDGET = 20;
+const COLLAPSE_MAX = 48; // larger bodies count as anchored
+const CRUSH_DAMAGE = 15;
+
+function wakeFalling(x, y, old, t) {
+  if (tileDef(t)?.falls) fallActive.add(idx(x, y));
+  if (isSolid(old) && !isSolid(t)) supportChecks.add(idx(x, y));
+  // blocks rest on anything breakable, torches included
+  if (isBreakable(old) && !isBreakable(t) && y > 0) fallActive.add(idx(x, y - 1));
+}
+
+// after generating or loading the world every falling block gets one step to settle
+function scanFalling() {
+  fallActive.clear();
+  supportChecks.clear();
+  looseTiles.clear();
+  for (let i = 0; i < world.length; i++) if (tileDef(world[i])?.falls) fallActive.add(i);
+}
+
+// containers, stations and claimed or protected tiles never collapse, so anything
+// touching one stays up
+function isAnchor(x, y) {
+  const d = tileDef(getTile(x, y));
+  return !!(d?.container || d?.station) || claimsAt(x, y).length > 0;
+}
+
+// Collapse any small solid body next to the removed tile at i that has come loose
+function checkSupport(i) {
+  const x = i % WORLD_W;
+  const y = Math.floor(i / WORLD_W);
+  for (const [sx, sy] of [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]) {
+    if (sx < 0 || sy < 0 || sx >= WORLD_W || sy >= WORLD_H || !isSolid(getTile(sx, sy))) continue;
+    // falling blocks look after themselves
+    if (looseTiles.has(idx(sx, sy)) || tileDef(getTile(sx, sy))?.falls) continue;
+    const body = new Set([idx(sx, sy)]);
+    const queue = [[sx, sy]];
+    let anchored = false;
+    while (queue.length && !anchored) {
+      const [cx, cy] = queue.pop();
+      if (cy === WORLD_H - 1 || isAnchor(cx, cy)) anchored = true;
+      for (const [nx, ny] of [[cx - 1, cy], [cx + 1, cy], [cx, cy - 1], [cx, cy + 1]]) {
+        if (nx < 0 || ny < 0 || nx >= WORLD_W || ny >= WORLD_H) continue;
+        const ni = idx(nx, ny);
+        if (body.has(ni) || !isSolid(world[ni])) continue;
+        body.add(ni);
+        queue.push([nx, ny]);
+      }
+      if (body.size > COLLAPSE_MAX) anchored = true;
+    }
+    if (anchored) continue;
+    for (const bi of body) {
+      looseTiles.add(bi);
+      fallActive.add(bi);
+    }
+    emitFx({ kind: 'collapse', x: sx, y: sy, size: body.size });
+  }
+}
+
+// Drop the block at i by one row, sinking through fluids and crushing whatever is below
+function stepFalling(i) {
+  const t = world[i];
+  const loose = looseTiles.has(i);
+  if (!loose && !tileDef(t)?.falls) return;
+  const x = i % WORLD_W;
+  const y = Math.floor(i / WORLD_W);
+  const below = getTile(x, y + 1);
+  if (y + 1 >= WORLD_H || isBreakable(below)) {
+    looseTiles.delete(i);
+    const dist = fallDist.get(i);
+    if (dist) emitFx({ kind: 'land', x, y, tile: t, dist });
+    fallDist.delete(i);
+    return;
+  }
+  const ni = idx(x, y + 1);
+  if (loose) looseTiles.delete(i);
+  const dist = (fallDist.get(i) || 0) + 1;
+  fallDist.delete(i);
+  setTile(x, y + 1, t);
+  setTile(x, y, fluidDef(below) ? below : emptyTileAt(x, y));
+  if (loose) looseTiles.add(ni);
+  fallDist.set(ni, dist);
+  fallActive.add(ni);
+  crushAt(x, y + 1);
+}
+
+function crushAt(x, y) {
+  const { w, h } = PHYSICS.body;
+  const hit = (e) => e.x < x + 1 && e.x + w > x && e.y < y + 1 && e.y + h > y;
+  for (const p of players.within(x, y, 1)) {
+    if (!isActivePlayer(p) || !hit(p)) continue;
+    emitFx({ kind: 'crush', x, y, targetId: p.id });
+    hurtEntity(p, CRUSH_DAMAGE, 'falling rocks');
+  }
+  for (const e of [...npcs.within(x, y, 1), ...animals.within(x, y, 1)]) {
+    if (hit(e)) hurtEntity(e, CRUSH_DAMAGE, 'falling rocks');
+  }
+}
+
+function tickFalling() {
+  let checked = 0;
+  for (const i of supportChecks) {
+    if (checked++ >= SUPPORT_BUDGET) break;
+    supportChecks.delete(i);
+    checkSupport(i);
+  }
+  if (!fallActive.size) return;
+  // bottom rows first so a loose body drops as one piece
+  const batch = Array.from(fallActive).sort((a, b) => b - a);
+  fallActive.clear();
+  for (const [n, i] of batch.entries()) {
+    if (n >= FALL_BUDGET) fallActive.add(i);
+    else stepFalling(i);
+  }
+}
+
+function creatureDef(type) {
+  return ITEM_DEFS.creatures?.[type] || null;
+}
+
+// Population per species and per species+region ("boar" and "boar@3")
+function creatureCounts() {
+  const counts = new Map();
+  const bump = (k) => counts.set(k, (counts.get(k) || 0) + 1);
+  for (const a of animals.values()) {
+    bump(a.type);
+    bump(`${a.type}@${Math.floor(a.x / REGION_W)}`);
+  }
+  return counts;
+}
+
+function underCap(type, def, x, counts) {
+  const region = `${type}@${Math.floor(x / REGION_W)}`;
+  return (counts.get(type) || 0) < (def.cap?.total ?? Infinity) && (counts.get(region) || 0) < (def.cap?.perRegion ?? Infinity);
+}
+
+function addCreature(type, def, spot, counts) {
+  const id = randomUUID();
+  const a = { id, type, x: spot.x, y: spot.y, hp: def.hp, vx: 0, vy: 0 };
+  animals.set(id, a);
+  counts.set(type, (counts.get(type) || 0) + 1);
+  const region = `${type}@${Math.floor(spot.x / REGION_W)}`;
+  counts.set(region, (counts.get(region) || 0) + 1);
+  return a;
+}
+
+function canSee(a, b) {
+  const [x0, y0, x1, y1] = [a.x, a.y, b.x, b.y].map(Math.floor);
+  return (x0 === x1 && y0 === y1) || hasLineOfSight(x0, y0, x1, y1);
+}
+
+// Free tile in a species' habitat, or null after a few misses. Cave creatures
+// spawn in the open space of caves and tunnels, preferably just out of sight of a
+// player who is down there.
+function creatureSpawnSpot(def) {
+  const cave = def.habitat === 'cave';
+  const minDepth = def.minDepth ?? 8;
+  const below = cave ? Array.from(players.values()).filter((p) => isActivePlayer(p) && isBelowDirt(p.x, p.y - minDepth)) : [];
+  for (let i = 0; i < 8; i++) {
+    const near = below.length ? below[Math.floor(rand() * below.length)] : null;
+    const x = near
+      ? Math.max(0, Math.min(WORLD_W - 1, Math.floor(near.x + (rand() < 0.5 ? -1 : 1) * (VIEW_RADIUS + rand() * 10))))
+      : Math.floor(rand() * WORLD_W);
+    const surface = surfaceMap[x] || Math.floor(WORLD_H * 0.25);
+    if (!cave) return { x, y: Math.max(1, surface - 1) };
+    const top = Math.max(surface + minDepth, near ? Math.floor(near.y) - 10 : 0);
+    const bottom = near ? Math.min(WORLD_H - 2, Math.floor(near.y) + 10) : WORLD_H - 2;
+    for (let y = top; y < bottom; y++) {
+      if (!isSolid(getTile(x, y)) && isSolid(getTile(x, y + 1))) return { x, y };
+    }
+  }
+  return null;
+}
+
+// Newcomers for species with a `spawn` rule; the rest only grow by breeding
+function spawnCreatures(counts) {
+  for (const [type, def] of Object.entries(ITEM_DEFS.creatures || {})) {
+    const rule = def.spawn;
+    if (!rule || !inSeason(rule.when) || rand() >= (rule.chance ?? 0.05)) continue;
+    const spot = creatureSpawnSpot(def);
+    if (spot && underCap(type, def, spot.x, counts)) addCreature(type, def, spot, counts);
+  }
+}
+
+// Two rested adults of a species close together may have one young, within caps
+function tryBreed(a, def, counts, now) {
+  const b = def.breed;
+  if (!b || now < (a.breedAt || 0) || rand() >= b.chance || !underCap(a.type, def, a.x, counts)) return;
+  const range = b.range ?? 4;
+  let mate = null;
+  for (const o of animals.within(a.x, a.y, range)) {
+    if (o !== a && o.type === a.type && now >= (o.breedAt || 0) && Math.hypot(o.x - a.x, o.y - a.y) <= range) {
+      mate = o;
+      break;
+    }
+  }
+  if (!mate) return;
+  a.breedAt = mate.breedAt = now + (b.cooldownMs ?? 120000);
+  addCreature(a.type, def, { x: a.x, y: a.y }, counts).breedAt = a.breedAt;
+}
+
+// skittish creatures run from players inside aggroRange, and from whoever hit them
+function creatureScare(a, def, now) {
+  if (a.fleeing && now < a.fleeing.until) return a.fleeing.x;
+  a.fleeing = null;
+  for (const p of players.within(a.x, a.y, def.aggroRange ?? 0)) {
+    if (isActivePlayer(p) && Math.hypot(p.x - a.x, p.y - a.y) <= (def.aggroRange ?? 0) && canSee(a, p)) return p.x;
+  }
+  return null;
+}
+
+// the player a creature is after, while it is still angry
+function creatureTarget(a) {
+  if (!a.target) return null;
+  const t = players.get(a.target.id);
+  if (Date.now() > a.target.until || !isActivePlayer(t)) {
+    a.target = null;
+    return null;
+  }
+  return t;
+}
+
+// aggressive creatures go for the nearest player they can see within aggroRange
+function acquireTarget(a, def) {
+  let best = null;
+  let bestDist = Infinity;
+  for (const p of players.within(a.x, a.y, def.aggroRange ?? 0)) {
+    if (!isActivePlayer(p)) continue;
+    const d = Math.hypot(p.x - a.x, p.y - a.y);
+    if (d <= def.aggroRange && d < bestDist && canSee(a, p)) {
+      best = p;
+      bestDist = d;
+    }
+  }
+  if (best) a.target = { id: best.id, until: Date.now() + AGGRO_MS };
+  return best;
+}
+
+function chase(a, t) {
+  a.moveX = Math.sign(Math.floor(t.x) - Math.floor(a.x));
+  // hop across gaps and out of shallow pits toward the target
+  if (a.blockedX || (t.y < a.y - 1 && a.moveX === 0)) a.jumpQueued = true;
+}
+
+function tickAnimals() {
+  const now = Date.now();
+  const counts = creatureCounts();
+  spawnCreatures(counts);
+
+  for (const a of animals.values()) {
+    const def = creatureDef(a.type) || {};
+    // creatures of the night fade away at daybreak (and vice versa), a few at a time
+    if (!inSeason(def.spawn?.when) && !a.target && rand() < 0.01) {
+      animals.delete(a.id);
+      continue;
+    }
+    const hazard = fluidHazard(a);
+    if (hazard && hurtEntity(a, hazard.dmg, hazard.cause)) continue;
+
+    const temperament = def.temperament || 'passive';
+    const target = temperament === 'aggressive' ? creatureTarget(a) || acquireTarget(a, def)
+      : temperament === 'defensive' ? creatureTarget(a)
+        : null;
+    const scaredOf = temperament === 'skittish' ? creatureScare(a, def, now) : null;
+    if (target) {
+      chase(a, target);
+      creatureStrike(a, def, target);
+    } else if (scaredOf != null) {
+      a.moveX = a.x < scaredOf ? -1.5 : 1.5;
+      if (a.blockedX) a.jumpQueued = true;
+    } else {
+      // random wander, turning back at walls
+      if (a.blockedX) a.moveX = -a.blockedX;
+      else if (rand() < 0.3) a.moveX = Math.floor(rand() * 3) - 1;
+      tryBreed(a, def, counts, now);
+    }
+    const fall = stepBody(a, PHYSICS.playerSpeed * (def.speed ?? 0.5));
+    animals.reindex(a.id);
+    if (fall) hurtEntity(a, fall, 'a fall');
+  }
+}
+
+function creatureStrike(a, def, t) {
+  const now = Date.now();
+  if (!def.damage || Math.hypot(t.x - a.x, t.y - a.y) > 1.5) return;
+  if (now - (a.lastAttack || 0) < (def.cooldownMs ?? 1000)) return;
+  a.lastAttack = now;
+  emitFx({ kind: 'attack', x1: a.x, y1: a.y, x2: t.x, y2: t.y, actorId: a.id, actorType: 'animal' });
+  damagePlayer(t, def.damage, null, `a ${a.type.replace(/_/g, ' ')}`);
+}
+
+// NPC behaviours. Each archetype in defs.json (`npcArchetypes`) lists behaviours in
+// priority order. Behaviours with a `trigger` are reactive: the first one that fires
+// takes over for that tick. The rest are activities, picked by `weight` when the
+// current one runs out (`durationMs`) or reports it is done.
+const NPC_BEHAVIORS = {
+  // run from whoever last hurt us while badly hurt
+  flee: {
+    trigger: (n, c) => !!npcThreat(n) && n.hp < (c.hpBelow ?? 30),
+    step(n) {
+      const t = npcThreat(n);
+      npcWalk(n, t.x > n.x ? -1 : 1, 1, 0.3);
+    },
+  },
+  // go after whoever hurt us and hit back (`damage`, `cooldownMs`)
+  fight: {
+    trigger: (n) => !!npcThreat(n),
+    step(n, c) {
+      const t = npcThreat(n);
+      if (Math.abs(t.x - n.x) > 1) npcWalk(n, Math.sign(t.x - n.x), 0.8, 0.2);
+      const now = Date.now();
+      if (Math.hypot(t.x - n.x, t.y - n.y) > 1.5 || now - (n.lastAttack || 0) < (c.cooldownMs ?? 1000)) return;
+      n.lastAttack = now;
+      emitFx({ kind: 'attack', x1: n.x, y1: n.y, x2: t.x, y2: t.y, actorId: n.id, actorType: 'npc' });
+      damagePlayer(t, c.damage ?? 8, n);
+    },
+  },
+  // merchants mind the shop
+  trade: {
+    trigger: (n) => !!n.merchant,
+    step(n) {
+      restockShop(n);
+    },
+  },
+  // walk back when too far from the village (`nightRadius` applies after dark)
+  returnHome: {
+    trigger: (n, c) => !!n.home && Math.abs(n.home.x - n.x) > ((isNight() ? c.nightRadius : null) ?? c.radius ?? 16),
+    step(n) {
+      npcWalk(n, Math.sign(n.home.x - n.x), 1, 0.25);
+    },
+  },
+  // walk a planned path to a random spot within `radius` of home (or of where it stands)
+  wander: {
+    start(n, c) {
+      n.route = planWander(n, c);
+    },
+    step(n, c) {
+      if (!n.route) return false;
+      const next = steerRoute(n);
+      n.moveX *= c.speed ?? 0.6;
+      if (next === 'arrived' || next === 'blocked') return false;
+      if (next) npcMine(n, next.x, next.y, c.dig ?? 0.1);
+    },
+  },
+  // horizontal tunnel through rock
+  mineShaft: {
+    canStart: (n) => isBelowDirt(n.x, n.y),
+    start(n) {
+      n.dir = rand() < 0.5 ? -1 : 1;
+    },
+    step(n, c) {
+      npcWalk(n, n.dir, 0.7, c.dig ?? 0.3);
+    },
+  },
+  // diagonal stairs down to `maxDepth` (fraction of world height)
+  digStaircase: {
+    canStart: (n, c) => n.y < WORLD_H * (c.maxDepth ?? 0.8),
+    start(n) {
+      n.dir = rand() < 0.5 ? -1 : 1;
+    },
+    step(n, c) {
+      if (n.y >= WORLD_H * (c.maxDepth ?? 0.8)) return false;
+      const { x, y } = frontTile(n, n.dir);
+      npcMine(n, x, y, c.dig ?? 0.3);
+      npcMine(n, x, y + 1, c.dig ?? 0.3);
+      n.moveX = n.dir * 0.75;
+    },
+  },
+  // wall in on both sides and overhead with spare blocks
+  buildShelter: {
+    canStart: (n, c) => shelterBlocks(n, c) >= 5,
+    step(n, c) {
+      const x = Math.floor(n.x);
+      const y = Math.floor(n.y);
+      const spot = [[x - 1, y], [x + 1, y], [x - 1, y - 1], [x + 1, y - 1], [x, y - 1]]
+        .find(([tx, ty]) => getTile(tx, ty) === TILE.AIR && canModify(n, tx, ty));
+      const item = (c.blocks || ['dirt', 'stone']).find((it) => (n.inv[it] || 0) > 0);
+      const tile = TILE_DEFS.findIndex((d) => d?.placedBy === item);
+      if (!spot || !item || tile < 0) return false;
+      setTile(spot[0], spot[1], tile);
+      n.inv[item] -= 1;
+      if (n.stats) n.stats.itemsCrafted = (n.stats.itemsCrafted || 0) + 1;
+      emitFx({ kind: 'build', x: spot[0], y: spot[1], actorId: n.id, actorType: 'npc' });
+    },
+  },
+};
+
+function npcArchetype(n) {
+  return ITEM_DEFS.npcArchetypes?.[n.archetype] || { behaviors: [{ type: 'wander' }] };
+}
+
+// The player this NPC is up against: whoever hurt it recently, or anyone it holds a
+// grudge against who comes into view
+function npcThreat(n) {
+  const now = Date.now();
+  const t = n.threat && now < n.threat.until ? players.get(n.threat.id) : null;
+  if (isActivePlayer(t)) return t;
+  n.threat = null;
+  const range = npcArchetype(n).aggroRange ?? 8;
+  for (const [id, until] of Object.entries(n.grudges || {})) {
+    if (now > until) {
+      delete n.grudges[id];
+      continue;
+    }
+    const g = players.get(id);
+    if (isActivePlayer(g) && Math.hypot(g.x - n.x, g.y - n.y) <= range && canSee(n, g)) {
+      n.threat = { id, until: now + AGGRO_MS };
+      return g;
+    }
+  }
+  return null;
+}
+
+// Remember who hit us: fight or flee now, and hold a grudge for `grudgeMs`
+function hurtNpc(n, attacker, dmg) {
+  const now = Date.now();
+  n.hp = Math.max(0, n.hp - dmg);
+  n.threat = { id: attacker.id, until: now + AGGRO_MS };
+  n.grudges = { ...n.grudges, [attacker.id]: now + (npcArchetype(n).grudgeMs ?? 300000) };
+  if (n.hp === 0) killNpc(n, attacker);
+}
+
+function killNpc(n, killer, cause) {
+  // NPCs count apart from `kills`, which ranks PvP on the leaderboard
+  if (killer?.stats) killer.stats.npcKills = (killer.stats.npcKills || 0) + 1;
+  const c = bodyCell(n);
+  dropDeathChest(n, c.x, c.y, n.inv);
+  npcs.delete(n.id);
+  const village = villages.find((v) => v.id === n.home?.villageId);
+  if (village) village.residents = village.residents.filter((id) => id !== n.id);
+  announce(`${n.name} was killed by ${killer?.name ?? cause}`);
+}
+
+function shelterBlocks(n, c) {
+  return (c.blocks || ['dirt', 'stone']).reduce((sum, it) => sum + (n.inv[it] || 0), 0);
+}
+
+// only solid tiles are mined; breakTile handles tiers and claims
+function npcMine(n, x, y, chance) {
+  if (isSolid(getTile(x, y)) && rand() < chance) breakTile(n, x, y);
+}
+
+function planWander(n, c) {
+  const origin = n.home || n;
+  const radius = c.radius ?? 16;
+  const at = bodyCell(n);
+  for (let tries = 0; tries < 3; tries++) {
+    const x = Math.floor(origin.x + (rand() * 2 - 1) * radius);
+    // the standing cell in that column closest to our own height
+    let y = null;
+    for (let d = 0; d <= 8 && y == null; d++) {
+      if (isStandable(x, at.y + d)) y = at.y + d;
+      else if (isStandable(x, at.y - d)) y = at.y - d;
+    }
+    const plan = y != null && findPath(at, { x, y }, { dig: (c.dig ?? 0.1) > 0, actor: n });
+    if (plan) return { x, y, path: plan.path, i: 0, progressAt: worldTime };
+  }
+  return null;
+}
+
+// walk sideways, digging through walls too high to step up
+function npcWalk(n, dir, speed, dig) {
+  n.moveX = dir * speed;
+  if (n.blockedX === dir) {
+    const { x, y } = frontTile(n, dir);
+    npcMine(n, x, y, dig);
+  }
+}
+
+function pickNpcActivity(n, now) {
+  const options = npcArchetype(n).behaviors
+    .filter((c) => !NPC_BEHAVIORS[c.type]?.trigger)
+    .filter((c) => NPC_BEHAVIORS[c.type] && (!NPC_BEHAVIORS[c.type].canStart || NPC_BEHAVIORS[c.type].canStart(n, c)));
+  const total = options.reduce((sum, c) => sum + (c.weight ?? 1), 0);
+  let r = rand() * total;
+  const cfg = options.find((c) => (r -= c.weight ?? 1) < 0) || options.at(-1);
+  if (!cfg) return setNpcState(n, 'idle', now, null);
+  setNpcState(n, cfg.type, now, cfg);
+  NPC_BEHAVIORS[cfg.type].start?.(n, cfg);
+}
+
+function setNpcState(n, state, now, cfg) {
+  if (n.state === state && n.stateUntil > now) return;
+  const [min, max] = cfg?.durationMs || [10000, 30000];
+  n.state = state;
+  n.route = null;
+  n.stateSince = now;
+  n.stateUntil = now + Math.floor(min + rand() * (max - min));
+}
+
+function makeNpc(props) {
+  return {
+    id: randomUUID(),
+    home: null,
+    archetype: 'miner',
+    hp: 100,
+    inv: {},
+    vx: 0,
+    vy: 0,
+    state: 'idle',
+    stateSince: 0,
+    stateUntil: 0,
+    dir: 1,
+    stats: { blocksMined: 0, itemsCrafted: 0, playtimeMs: 0 },
+    ...(props.merchant ? { inv: shopFunds(props.merchant) } : {}),
+    ...props,
+  };
+}
+
+function tickNpcs() {
+  // cap NPCs
+  while (npcs.size > 30) {
+    const first = npcs.keys().next().value;
+    if (!first) break;
+    npcs.delete(first);
+  }
+
+  // respawn if below cap, refilling villages first
+  if (npcs.size < 30 && rand() < 0.08) {
+    const base = NPC_NAMES[Math.floor(rand() * NPC_NAMES.length)];
+    const suffix = rand() < 0.4 ? `-${Math.floor(rand() * 90 + 10)}` : '';
+    const village = villages.find((v) => v.residents.length < RESIDENTS_PER_VILLAGE);
+    const merchant = village && !village.residents.some((id) => npcs.get(id)?.merchant) ? MERCHANT_SHOP : null;
+    const n = makeNpc({
+      name: `${base}${suffix}`,
+      x: village ? village.x : Math.floor(rand() * WORLD_W),
+      y: village ? village.y : Math.floor(WORLD_H * 0.45 + rand() * WORLD_H * 0.5),
+      home: village ? { villageId: village.id, x: village.x, y: village.y } : null,
+      archetype: merchant ? 'merchant' : village ? 'villager' : 'miner',
+      ...(merchant ? { merchant, shop: newShopStock(merchant) } : {}),
+      skin: SKINS[Math.floor(rand() * SKINS.length)],
+    });
+    npcs.set(n.id, n);
+    if (village) village.residents.push(n.id);
+  }
+
+  const now = Date.now();
+  for (const n of npcs.values()) {
+    if (n.stats) n.stats.playtimeMs = (n.stats.playtimeMs || 0) + 100;
+    const hazard = fluidHazard(n);
+    if (hazard && hurtEntity(n, hazard.dmg, hazard.cause)) continue;
+
+    const behaviors = npcArchetype(n).behaviors.filter((c) => inSeason(c.when));
+    const reactive = behaviors.find((c) => NPC_BEHAVIORS[c.type]?.trigger?.(n, c));
+    if (reactive) {
+      setNpcState(n, reactive.type, now, reactive);
+    } else if (!behaviors.some((c) => c.type === n.state && !NPC_BEHAVIORS[c.type].trigger) || now > n.stateUntil) {
+      pickNpcActivity(n, now);
+    }
+    const cfg = behaviors.find((c) => c.type === n.state);
+    n.moveX = 0;
+    if (cfg && NPC_BEHAVIORS[n.state].step(n, cfg) === false) n.stateUntil = 0;
+
+    if (n.moveX !== 0) n.look = n.moveX > 0 ? 1 : 0;
+    const fall = stepBody(n, PHYSICS.playerSpeed);
+    npcs.reindex(n.id);
+    if (fall) hurtEntity(n, fall, 'a fall');
+  }
+}
+
+// REST: join (unique usernames)
+app.post('/join', (req, res) => {
+  const { name } = req.body || {};
+  if (!name) return res.status(400).json({ ok: false, error: 'name required' });
+  const activeCount = Array.from(players.values()).filter(isActivePlayer).length;
+  if (activeCount >= MAX_PLAYERS) return res.status(429).json({ ok: false, error: 'server full' });
+  for (const p of players.values()) {
+    if (p.name.toLowerCase() === String(name).toLowerCase()) {
+      return res.status(409).json({ ok: false, error: 'name taken' });
+    }
+  }
+  const player = spawnPlayer(name);
+  players.set(player.id, player);
+  invalidateZones();
+  const joinMsg = `${player.name} joined the world`;
+  addChat(joinMsg);
+  broadcast({ type: 'chat', message: joinMsg });
+  res.json({ ok: true, playerId: player.id, apiKey: player.apiKey, spawn: player.spawn });
+});
+
+// REST: get state (simple)
+app.get('/state', (req, res) => {
+  const { playerId, apiKey } = req.query;
+  const p = players.get(playerId);
+  if (!p || p.apiKey !== apiKey) return res.status(401).json({ ok: false, error: 'unauthorized' });
+  res.json({ ok: true, player: p, players: Array.from(players.values()) });
+});
+
+function getWorldSnapshot() {
+  return {
+    ok: true,
+    worldWidth: WORLD_W,
+    worldHeight: WORLD_H,
+    worldSize: WORLD_W,
+    worldSeed: worldSeed,
+    tiles: Array.from(world),
+    players: Array.from(players.values()).filter(isActivePlayer).map(publicPlayer),
+    factions: Array.from(factions.values()).map(factionView),
+    animals: Array.from(animals.values()),
+    npcs: Array.from(npcs.values()),
+    villages,
+    clock: worldClock(),
+    tileDefs: ITEM_DEFS.tiles,
+    chat: chatLog,
+  };
+}
+
+// Public world snapshot (safe, no apiKey)
+app.get('/world', (req, res) => {
+  res.json(getWorldSnapshot());
+});
+
+// Public leaderboard (safe)
+app.get('/leaderboard', (req, res) => {
+  const list = Array.from(players.values()).map((p) => {
+    const stats = p.stats || {};
+    return {
+      id: p.id,
+      name: p.name,
+      faction: p.faction || null,
+      factionName: p.faction ? factions.get(p.faction)?.name ?? null : null,
+      kills: stats.kills || 0,
+      deaths: stats.deaths || 0,
+      kd: stats.deaths ? (stats.kills || 0) / stats.deaths : stats.kills || 0,
+      npcKills: stats.npcKills || 0,
+      blocksMined: stats.blocksMined || 0,
+      itemsCrafted: stats.itemsCrafted || 0,
+      playtimeMs: stats.playtimeMs || 0,
+    };
+  });
+  list.sort((a, b) => b.kills - a.kills);
+  const byFaction = Array.from(factions.values()).map((f) => {
+    const members = list.filter((p) => p.faction === f.id);
+    const sum = (k) => members.reduce((acc, p) => acc + p[k], 0);
+    const kills = sum('kills');
+    const deaths = sum('deaths');
+    return {
+      id: f.id,
+      name: f.name,
+      members: members.length,
+      kills,
+      deaths,
+      kd: deaths ? kills / deaths : kills,
+      npcKills: sum('npcKills'),
+      blocksMined: sum('blocksMined'),
+      itemsCrafted: sum('itemsCrafted'),
+      playtimeMs: sum('playtimeMs'),
+    };
+  });
+  byFaction.sort((a, b) => b.kills - a.kills);
+  res.json({ ok: true, players: list, factions: byFaction });
+});
+
+// Public claims and protected zones, optionally only those touching ?x=&y=&w=&h=
+app.get('/claims', (req, res) => {
+  const q = ['x', 'y', 'w', 'h'].map((k) => Number(req.query[k]));
+  const area = q.every(Number.isFinite) ? { x: q[0], y: q[1], w: q[2], h: q[3] } : null;
+  const list = [...claims.values(), ...protectedZones()].filter((c) => !area || rectsOverlap(area, c));
+  res.json({ ok: true, claims: list.map(claimView) });
+});
+
+// Who owns a tile: ?x=&y=
+app.get('/claims/at', (req, res) => {
+  const x = Number(req.query.x);
+  const y = Number(req.query.y);
+  if (!Number.isInteger(x) || !Number.isInteger(y)) return res.status(400).json({ ok: false, error: 'x and y required' });
+  const list = claimsAt(x, y).map(claimView);
+  res.json({ ok: true, x, y, protected: list.length > 0, claims: list });
+});
+
+// Public recipe list; with playerId + apiKey, also what that player can craft right now
+app.get('/recipes', (req, res) => {
+  const { playerId, apiKey } = req.query;
+  let p = null;
+  if (playerId) {
+    p = players.get(playerId);
+    if (!p || p.apiKey !== apiKey) return res.status(401).json({ ok: false, error: 'unauthorized' });
+  }
+  const recipes = Object.entries(RECIPES()).map(([id, r]) => {
+    const out = { id, in: r.in, out: r.out, station: r.station || null, timeMs: r.timeMs || 0 };
+    if (p) {
+      const status = recipeStatus(p, r);
+      out.craftable = !Object.keys(status.missing).length && status.nearStation;
+      out.missing = status.missing;
+      out.nearStation = status.nearStation;
+    }
+    return out;
+  });
+  res.json({ ok: true, recipes });
+});
+
+// Admin: defs.json status and forced reload (x-molt-secret: MOLT_ADMIN_SECRET)
+function requireAdmin(req, res, next) {
+  const secret = req.headers['x-molt-secret'];
+  if (!process.env.MOLT_ADMIN_SECRET || secret !== process.env.MOLT_ADMIN_SECRET) {
+    return res.status(401).json({ ok: false, error: 'unauthorized' });
+  }
+  next();
+}
+
+app.get('/admin/defs', requireAdmin, (req, res) => {
+  res.json({ ok: defsStatus.errors.length === 0, ...defsStatus });
+});
+
+app.post('/admin/defs/reload', requireAdmin, (req, res) => {
+  const result = reloadDefs('admin');
+  res.status(result.ok ? 200 : 422).json({ ...result, version: defsStatus.version });
+});
+
+// Path from the player's position: ?playerId=&apiKey=&toX=&toY=&dig=1. Digging respects
+// their tool tier and claims. Searches run on the tick thread, so each player gets one
+// per PATH_QUERY_MS.
+const pathQueries = new Map(); // playerId -> time of the last search
+
+app.get('/path', (req, res) => {
+  const { playerId, apiKey } = req.query;
+  const p = players.get(playerId);
+  if (!p || p.apiKey !== apiKey) return res.status(401).json({ ok: false, error: 'unauthorized' });
+  const wait = PATH_QUERY_MS - (Date.now() - (pathQueries.get(p.id) || 0));
+  if (wait > 0) return res.status(429).json({ ok: false, error: 'too many path requests', retryInMs: wait });
+  const [toX, toY] = ['toX', 'toY'].map((k) => (req.query[k] != null ? Number(req.query[k]) : null));
+  const from = bodyCell(p);
+  if (![toX, toY].every(Number.isInteger)) return res.status(400).json({ ok: false, error: 'toX and toY required' });
+  pathQueries.set(p.id, Date.now());
+  const plan = findPath(from, { x: toX, y: toY }, { dig: req.query.dig === '1' || req.query.dig === 'true', actor: p });
+  if (!plan) return res.status(404).json({ ok: false, error: 'no path' });
+  res.json({ ok: true, from, to: { x: toX, y: toY }, ...plan });
+});
+
+// Public protocol schema
+app.get('/protocol', (req, res) => {
+  res.json({ ok: true, ...PROTOCOL });
+});
+
+const server = app.listen(PORT, () => {
+  console.log(`Moltwars server running on :${PORT}`);
+});
+
+// WebSocket for realtime actions
+const wss = new WebSocketServer({ noServer: true });
+// Public world-view WebSocket (no auth)
+const wssWorld = new WebSocketServer({ noServer: true });
+const worldSockets = new Map(); // ws -> {x,y,w,h}
+
+server.on('upgrade', (req, socket, head) => {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    if (url.pathname === '/ws/world') {
+      wssWorld.handleUpgrade(req, socket, head, (ws) => {
+        wssWorld.emit('connection', ws, req);
+      });
+      return;
+    }
+    if (url.pathname === '/ws') {
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req);
+      });
+      return;
+    }
+  } catch (e) {}
+  socket.destroy();
+});
+
+// Protocol schema (JSON Schema subset). Incoming /ws actions are validated against
+// `actions`; `server` documents what the server sends. Bump the major version on
+// breaking changes.
+const PROTOCOL_VERSION = '1.0.0';
+const tileCoord = { type: 'integer' };
+const itemId = { type: 'string', minLength: 1 };
+const itemCounts = { type: 'object', additionalProperties: { type: 'integer', minimum: 1 } };
+const action = (properties = {}, required = []) => ({
+  type: 'object',
+  properties: { reqId: { type: ['string', 'integer'] }, ...properties },
+  required,
+});
+const PROTOCOL = {
+  version: PROTOCOL_VERSION,
+  physics: PHYSICS, // constants for client-side prediction of stepBody
+  actions: {
+    keyframe: action(),
+    move: action({ dx: { type: 'integer', minimum: -1, maximum: 1 }, dy: { type: 'integer', minimum: -1, maximum: 0 } }),
+    jump: action({ dx: { type: 'integer', minimum: -1, maximum: 1 } }),
+    goto: action({ x: tileCoord, y: tileCoord, dig: { type: 'boolean' } }, ['x', 'y']),
+    attack: action({ targetId: { type: 'string' } }, ['targetId']),
+    attackAnimal: action({ animalId: { type: 'string' } }, ['animalId']),
+    attackNpc: action({ npcId: { type: 'string' } }, ['npcId']),
+    eat: action({ item: itemId }, ['item']),
+    mine: action({ x: tileCoord, y: tileCoord }, ['x', 'y']),
+    build: action({ x: tileCoord, y: tileCoord, tile: { type: 'integer' } }, ['x', 'y', 'tile']),
+    craft: action({ recipe: { type: 'string' } }, ['recipe']),
+    openChest: action({ x: tileCoord, y: tileCoord }, ['x', 'y']),
+    putChest: action({ x: tileCoord, y: tileCoord, item: itemId, count: { type: 'integer', minimum: 1 } }, ['x', 'y', 'item', 'count']),
+    takeChest: action({ x: tileCoord, y: tileCoord, item: itemId, count: { type: 'integer', minimum: 1 } }, ['x', 'y', 'item', 'count']),
+    lockChest: action(
+      { x: tileCoord, y: tileCoord, mode: { enum: CHEST_MODES }, allow: { type: 'array', items: { type: 'string' }, maxItems: 64 } },
+      ['x', 'y', 'mode'],
+    ),
+    tradeOffer: action({ targetId: { type: 'string' }, give: itemCounts, want: itemCounts }, ['targetId']),
+    tradeAccept: action({ tradeId: { type: 'string' } }, ['tradeId']),
+    tradeCancel: action({ tradeId: { type: 'string' } }, ['tradeId']),
+    claim: action(
+      {
+        x: tileCoord,
+        y: tileCoord,
+        w: { type: 'integer', minimum: 1 },
+        h: { type: 'integer', minimum: 1 },
+        name: { type: 'string', maxLength: 32 },
+        shared: { type: 'boolean' },
+      },
+      ['x', 'y', 'w', 'h'],
+    ),
+    unclaim: action({ claimId: { type: 'string' } }, ['claimId']),
+    claimConfig: action(
+      {
+        claimId: { type: 'string' },
+        name: { type: 'string', minLength: 1, maxLength: 32 },
+        shared: { type: 'boolean' },
+        allow: { type: 'array', items: { type: 'string' }, maxItems: 64 },
+      },
+      ['claimId'],
+    ),
+    shopList: action({ npcId: { type: 'string' } }, ['npcId']),
+    shopBuy: action({ npcId: { type: 'string' }, item: itemId, count: { type: 'integer', minimum: 1, maximum: 999 } }, ['npcId', 'item', 'count']),
+    shopSell: action({ npcId: { type: 'string' }, item: itemId, count: { type: 'integer', minimum: 1, maximum: 999 } }, ['npcId', 'item', 'count']),
+    equip: action({ item: itemId }, ['item']),
+    unequip: action(),
+    chat: action({ message: { type: 'string', minLength: 1, maxLength: 500 }, channel: { enum: ['global', 'team'] } }, ['message']),
+    factionCreate: action({ name: { type: 'string', minLength: 1, maxLength: 32 } }, ['name']),
+    factionInvite: action({ playerId: { type: 'string' } }, ['playerId']),
+    factionJoin: action({ factionId: { type: 'string' } }, ['factionId']),
+    factionLeave: action(),
+    factionConfig: action({ friendlyFire: { type: 'boolean' } }),
+  },
+  worldActions: {
+    view: {
+      type: 'object',
+      properties: { x: { type: 'number' }, y: { type: 'number' }, w: { type: 'number' }, h: { type: 'number' } },
+      required: ['x', 'y', 'w', 'h'],
+    },
+  },
+  server: {
+    hello: { type: 'object', properties: { protocolVersion: { type: 'string' }, playerId: { type: 'string' }, defsVersion: { type: 'integer' } } },
+    defs: {
+      type: 'object',
+      description: 'sent to every client when defs.json is reloaded',
+      properties: { version: { type: 'integer' }, items: { type: 'object' }, recipes: { type: 'object' }, tiles: { type: 'object' } },
+    },
+    tick: {
+      type: 'object',
+      description: 'keyframe: full viewport and entity lists; otherwise a delta against the previous seq',
+      properties: {
+        seq: { type: 'integer' },
+        keyframe: { type: 'boolean' },
+        player: { type: 'object' },
+        players: { type: 'array' },
+        tiles: { type: 'array', description: 'keyframe: rows of tile ids (null = never seen); delta: [x, y, tile] for visible tiles, [x, y, tile, fog] otherwise' },
+        fog: { type: 'array', description: 'keyframe: rows of 0 = unknown, 1 = remembered, 2 = visible' },
+        chests: { type: 'array' },
+        animals: { type: 'array' },
+        npcs: { type: 'array' },
+        inv: { type: 'object', description: 'delta: changed counts, 0 = removed' },
+        enter: { type: 'array' },
+        update: { type: 'array' },
+        leave: { type: 'array' },
+        clock: { type: 'object', description: 'keyframe, or when day, phase or light change: {time, day, timeOfDay, phase, light, dayLengthMs}' },
+      },
+    },
+    ack: { type: 'object', properties: { reqId: {}, action: { type: 'string' }, delta: { type: 'object' }, result: { type: 'object' } } },
+    error: { type: 'object', properties: { reqId: {}, action: { type: ['string', 'null'] }, code: { type: 'string' }, message: { type: 'string' } } },
+    chat: {
+      type: 'object',
+      properties: { message: { type: 'string' }, channel: { enum: ['team'] }, factionId: { type: 'string' }, from: { type: 'string' } },
+    },
+    faction: {
+      type: 'object',
+      description: 'faction membership changes, sent to members (and to invitees)',
+      properties: { event: { enum: ['invited', 'joined', 'left', 'updated'] }, faction: { type: 'object' }, playerId: { type: 'string' } },
+    },
+    mining: {
+      type: 'object',
+      description: 'end of a timed dig started by mine; progress is reported in tick player.mining',
+      properties: { reqId: {}, x: { type: 'integer' }, y: { type: 'integer' }, status: { enum: ['done', 'cancelled'] }, reason: { type: 'string' } },
+    },
+    route: {
+      type: 'object',
+      description: 'end of a goto; progress is reported in tick player.route',
+      properties: { reqId: {}, x: { type: 'integer' }, y: { type: 'integer' }, status: { enum: ['arrived', 'blocked', 'cancelled'] }, reason: { type: 'string' } },
+    },
+    crafting: {
+      type: 'object',
+      description: 'end of a timed craft; progress is reported in tick player.crafting',
+      properties: { reqId: {}, recipe: { type: 'string' }, status: { enum: ['done', 'cancelled'] }, reason: { type: 'string' } },
+    },
+    trade: {
+      type: 'object',
+      description: 'sent to both parties of a trade',
+      properties: { event: { enum: ['offered', 'completed', 'cancelled', 'expired'] }, trade: { type: 'object' }, reason: { type: 'string' } },
+    },
+    world: { type: 'object', properties: { x: { type: 'integer' }, y: { type: 'integer' }, w: { type: 'integer' }, h: { type: 'integer' }, tiles: { type: 'array' } } },
+    fx: { type: 'object', properties: { kind: { type: 'string' }, actorId: { type: 'string' }, actorType: { type: 'string' }, ts: { type: 'integer' } } },
+    npcChat: { type: 'object', properties: { npcId: { type: 'string' }, message: { type: 'string' }, ttlMs: { type: 'integer' } } },
+  },
+  errors: [
+    'BAD_JSON', 'UNKNOWN_TYPE', 'BAD_REQUEST', 'PROTOCOL_MISMATCH', 'BLOCKED', 'COOLDOWN', 'NOT_FOUND',
+    'INVALID_TARGET', 'UNKNOWN_TILE', 'UNKNOWN_RECIPE', 'INSUFFICIENT_ITEMS', 'NOT_FOOD',
+    'OUT_OF_BOUNDS', 'OUT_OF_RANGE', 'NO_LINE_OF_SIGHT', 'TOOL_TIER_TOO_LOW', 'BUSY', 'NO_STATION',
+    'ACCESS_DENIED', 'NOT_OWNER', 'CHEST_FULL', 'CHEST_NOT_EMPTY', 'TOO_MANY_TRADES', 'STACK_FULL',
+    'ALREADY_IN_FACTION', 'NOT_IN_FACTION', 'NOT_INVITED', 'NOT_LEADER', 'FACTION_EXISTS', 'FACTION_FULL', 'FRIENDLY_FIRE',
+    'PROTECTED', 'CLAIM_OVERLAP', 'CLAIM_TOO_LARGE', 'TOO_MANY_CLAIMS', 'NOT_SOLD', 'OUT_OF_STOCK', 'INSUFFICIENT_FUNDS', 'MERCHANT_NO_FUNDS',
+    'AIRBORNE', 'NO_PATH', 'INTERNAL',
+  ],
+};
+
+function schemaType(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+// Returns an error string, or null if `value` matches `schema`
+function validateSchema(schema, value, path = '') {
+  const name = path || 'message';
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const t = schemaType(value);
+    if (!types.includes(t) && !(t === 'integer' && types.includes('number'))) {
+      return `${name} must be ${types.join(' or ')}`;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) return `${name} must be one of ${schema.enum.join(', ')}`;
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) return `${name} must be >= ${schema.minimum}`;
+    if (schema.maximum != null && value > schema.maximum) return `${name} must be <= ${schema.maximum}`;
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) return `${name} must be at least ${schema.minLength} chars`;
+    if (schema.maxLength != null && value.length > schema.maxLength) return `${name} must be at most ${schema.maxLength} chars`;
+  }
+  if (schemaType(value) === 'object') {
+    for (const k of schema.required || []) {
+      if (value[k] === undefined) return `${path ? `${path}.` : ''}${k} required`;
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      const sub = schema.properties && Object.hasOwn(schema.properties, k) ? schema.properties[k] : schema.additionalProperties;
+      if (!sub) continue;
+      const err = validateSchema(sub, v, path ? `${path}.${k}` : k);
+      if (err) return err;
+    }
+  }
+  if (Array.isArray(value) && schema.maxItems != null && value.length > schema.maxItems) {
+    return `${name} must have at most ${schema.maxItems} items`;
+  }
+  if (Array.isArray(value) && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const err = validateSchema(schema.items, value[i], `${name}[${i}]`);
+      if (err) return err;
+    }
+  }
+  return null;
+}
+
+function protocolMajor(version) {
+  return Number(String(version).split('.')[0]);
+}
+
+// /ws actions. A handler returns an optional result object on success and throws
+// ActionError (via fail) with a machine-readable code when the action is rejected.
+class ActionError extends Error {
+  constructor(code, message, extra = {}) {
+    super(message || code);
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+function fail(code, message, extra) {
+  throw new ActionError(code, message, extra);
+}
+
+function playerState(p) {
+  return { ...tickPlayerView(p), inv: { ...p.inv } };
+}
+
+function diffPlayerState(before, after) {
+  const delta = {};
+  const player = {};
+  for (const k of TICK_PLAYER_FIELDS) {
+    if (!sameValue(before[k], after[k])) player[k] = after[k];
+  }
+  if (Object.keys(player).length) delta.player = player;
+  const inv = {};
+  for (const [k, v] of Object.entries(after.inv)) {
+    if (before.inv[k] !== v) inv[k] = v;
+  }
+  for (const k of Object.keys(before.inv)) {
+    if (!(k in after.inv)) inv[k] = 0;
+  }
+  if (Object.keys(inv).length) delta.inv = inv;
+  return delta;
+}
+
+function worldClock() {
+  const timeOfDay = (worldTime % DAY_LENGTH_MS) / DAY_LENGTH_MS;
+  const phase = DAY_PHASES.find((ph) => timeOfDay < ph.until).phase;
+  let light = phase === 'day' ? DAY_LIGHT : NIGHT_LIGHT;
+  if (phase === 'dusk') light = DAY_LIGHT - (DAY_LIGHT - NIGHT_LIGHT) * ((timeOfDay - 0.5) / 0.05);
+  if (phase === 'dawn') light = NIGHT_LIGHT + (DAY_LIGHT - NIGHT_LIGHT) * ((timeOfDay - 0.95) / 0.05);
+  return {
+    time: worldTime,
+    day: Math.floor(worldTime / DAY_LENGTH_MS) + 1,
+    timeOfDay: Math.round(timeOfDay * 1000) / 1000,
+    phase,
+    light: Math.round(light),
+    dayLengthMs: DAY_LENGTH_MS,
+  };
+}
+
+function isNight() {
+  return worldClock().phase === 'night';
+}
+
+// `when: "day"|"night"` on a spawn rule or behaviour limits it to that part of the day
+function inSeason(when) {
+  return !when || when === (isNight() ? 'night' : 'day');
+}
+
+// Hurt a player; at 0 hp they die through killPlayer. `cause` names non-player killers.
+function damagePlayer(t, dmg, killer, cause) {
+  t.hp = Math.max(0, t.hp - dmg);
+  const killed = t.hp === 0;
+  if (killed) killPlayer(t, killer, cause ?? killer?.name);
+  return killed;
+}
+
+function killPlayer(t, killer, cause) {
+  if (killer?.stats) killer.stats.kills = (killer.stats.kills || 0) + 1;
+  if (t.stats) t.stats.deaths += 1;
+  // drop all loot into a chest at death location
+  const c = bodyCell(t);
+  dropDeathChest(t, c.x, c.y, t.inv);
+  t.inv = {};
+
+  t.hp = 100;
+  t.x = t.spawn.x;
+  t.y = findSurfaceY(t.spawn.x);
+  Object.assign(t, { vx: 0, vy: 0, moveX: 0, fallFrom: null });
+  players.reindex(t.id);
+  if (t.route) finishRoute(t, 'cancelled', 'died');
+  const deathMsg = cause ? `${t.name} was killed by ${cause} and respawned` : `${t.name} died and respawned`;
+  addChat(deathMsg);
+  broadcast({ type: 'chat', message: deathMsg });
+}
+
+// Damage of the equipped weapon (or fists); fails while the attack cooldown runs
+function readyWeapon(p) {
+  const weapon = ITEM_DEFS.items?.[p.active]?.tags?.includes('weapon') ? ITEM_DEFS.items[p.active] : null;
+  const cd = weapon?.cooldown || 800;
+  const wait = cd - (Date.now() - (p.lastAttack || 0));
+  if (wait > 0) fail('COOLDOWN', 'attack on cooldown', { retryInMs: wait });
+  return weapon?.dmg || 10;
+}
+
+function requireTile(data) {
+  const { x, y } = data;
+  if (x < 0 || y < 0 || x >= WORLD_W || y >= WORLD_H) fail('OUT_OF_BOUNDS', `${x},${y} is outside the world`);
+  return { x, y };
+}
+
+// True if no solid tile lies strictly between the two tiles (Bresenham line)
+function hasLineOfSight(x0, y0, x1, y1) {
+  const dx = Math.abs(x1 - x0);
+  const dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  let err = dx + dy;
+  let x = x0;
+  let y = y0;
+  while (true) {
+    const e2 = 2 * err;
+    if (e2 >= dy) {
+      err += dy;
+      x += sx;
+    }
+    if (e2 <= dx) {
+      err += dx;
+      y += sy;
+    }
+    if (x === x1 && y === y1) return true;
+    if (isSolid(getTile(x, y))) return false;
+  }
+}
+
+function requireReach(p, x, y, range) {
+  const px = Math.floor(p.x);
+  const py = Math.floor(p.y);
+  const tx = Math.floor(x);
+  const ty = Math.floor(y);
+  const dist = Math.hypot(tx - px, ty - py);
+  if (dist > range) fail('OUT_OF_RANGE', `target is ${dist.toFixed(1)} tiles away (reach ${range})`);
+  if ((tx !== px || ty !== py) && !hasLineOfSight(px, py, tx, ty)) fail('NO_LINE_OF_SIGHT', 'target is behind a solid tile');
+}
+
+function nearStation(p, station) {
+  const id = TILE[String(station).toUpperCase()];
+  if (id == null) return false;
+  const px = Math.floor(p.x);
+  const py = Math.floor(p.y);
+  for (let dy = -STATION_RANGE; dy <= STATION_RANGE; dy++) {
+    for (let dx = -STATION_RANGE; dx <= STATION_RANGE; dx++) {
+      if (getTile(px + dx, py + dy) === id) return true;
+    }
+  }
+  return false;
+}
+
+// What `p` still lacks for recipe `r`: {missing: {item: count}, nearStation}
+function recipeStatus(p, r) {
+  const missing = {};
+  for (const [k, v] of Object.entries(r.in)) {
+    if ((p.inv[k] || 0) < v) missing[k] = v - (p.inv[k] || 0);
+  }
+  return { missing, nearStation: !r.station || nearStation(p, r.station) };
+}
+
+// End the player's current craft: outputs on `done`, inputs refunded on `cancelled`
+// pays out the recipe as it was when the craft started, whatever reloads did since
+function finishCrafting(p, status, reason) {
+  const c = p.crafting;
+  p.crafting = null;
+  const r = c.in ? c : RECIPES()[c.recipe] || { in: {}, out: {} }; // crafts saved before the copy
+  addItems(p.inv, status === 'done' ? r.out : r.in);
+  if (status === 'done' && p.stats) p.stats.itemsCrafted += 1;
+  sendTo(p.id, { type: 'crafting', reqId: c.reqId, recipe: c.recipe, status, ...(reason ? { reason } : {}) });
+}
+
+function tickCrafting(p) {
+  const c = p.crafting;
+  if (!c) return;
+  if (c.station && !nearStation(p, c.station)) return finishCrafting(p, 'cancelled', 'left station');
+  if (Date.now() - c.startedAt >= c.durationMs) finishCrafting(p, 'done');
+}
+
+// Trades: the offer's `give` items leave the offerer's inv into escrow at once;
+// accepting takes the target's `want` items and swaps both sides in one step.
+function addItems(inv, items) {
+  for (const [k, v] of Object.entries(items)) inv[k] = (inv[k] || 0) + v;
+}
+
+function missingItems(inv, items) {
+  const missing = {};
+  for (const [k, v] of Object.entries(items)) {
+    if ((inv[k] || 0) < v) missing[k] = v - (inv[k] || 0);
+  }
+  return missing;
+}
+
+function tradeView(t) {
+  return {
+    id: t.id,
+    from: t.from,
+    fromName: players.get(t.from)?.name,
+    to: t.to,
+    toName: players.get(t.to)?.name,
+    give: t.give,
+    want: t.want,
+    expiresAt: t.expiresAt,
+  };
+}
+
+function notifyTrade(t, event, extra = {}) {
+  const payload = { type: 'trade', event, trade: tradeView(t), ...extra };
+  sendTo(t.from, payload);
+  sendTo(t.to, payload);
+}
+
+// Close a trade without swapping and return the escrow to the offerer
+function closeTrade(t, event, reason) {
+  trades.delete(t.id);
+  const from = players.get(t.from);
+  if (from) addItems(from.inv, t.give);
+  notifyTrade(t, event, reason ? { reason } : {});
+}
+
+function tickTrades() {
+  const now = Date.now();
+  for (const t of trades.values()) {
+    if (now >= t.expiresAt) closeTrade(t, 'expired');
+  }
+}
+
+function requireTrade(p, tradeId) {
+  const t = trades.get(tradeId);
+  if (!t || (t.from !== p.id && t.to !== p.id)) fail('NOT_FOUND', 'no such trade');
+  return t;
+}
+
+// Factions: player.faction holds the faction id; the leader alone changes settings
+function sameFaction(a, b) {
+  return !!a?.faction && a.faction === b?.faction;
+}
+
+function factionView(f) {
+  return {
+    id: f.id,
+    name: f.name,
+    leader: f.leader,
+    members: f.members.map((id) => ({ id, name: players.get(id)?.name })),
+    friendlyFire: !!f.friendlyFire,
+  };
+}
+
+function requireFaction(p) {
+  const f = p.faction ? factions.get(p.faction) : null;
+  if (!f) fail('NOT_IN_FACTION', 'you are not in a faction');
+  return f;
+}
+
+function sendToFaction(f, payload) {
+  for (const id of f.members) sendTo(id, payload);
+}
+
+function announce(msg) {
+  addChat(msg);
+  broadcast({ type: 'chat', message: msg });
+}
+
+function leaveFaction(p, f) {
+  f.members = f.members.filter((id) => id !== p.id);
+  p.faction = null;
+  if (!f.members.length) {
+    factions.delete(f.id);
+    return;
   }
+  if (f.leader === p.id) f.leader = f.members[0];
+  sendToFaction(f, { type: 'faction', event: 'left', faction: factionView(f), playerId: p.id });
 }
 
-function avoidVoid(entity) {
-  if (entity.y < WORLD_H - 8) return false;
-  // steer upward when near bottom (stronger)
-  const nx = Math.max(0, Math.min(WORLD_W - 1, Math.floor(entity.x)));
-  const below = getTile(nx, Math.min(WORLD_H - 1, Math.floor(entity.y + 1)));
-  if (!isSolid(below)) {
-    tryMove(entity, 0, -1);
-    tryMove(entity, 0, -1);
-    return true;
-  }
-  return false;
+function requireMerchant(p, npcId) {
+  const n = npcs.get(npcId);
+  if (!n?.merchant || !shopDef(n.merchant)) fail('NOT_FOUND', 'no such merchant');
+  if (!n.shop) n.shop = newShopStock(n.merchant);
+  const dist = Math.hypot(n.x - p.x, n.y - p.y);
+  if (dist > SHOP_RANGE) fail('OUT_OF_RANGE', `merchant is ${dist.toFixed(1)} tiles away (range ${SHOP_RANGE})`);
+  return n;
 }
 
-function isBelowDirt(x, y) {
-  const surface = surfaceMap[Math.max(0, Math.min(WORLD_W - 1, Math.floor(x)))] || Math.floor(WORLD_H * 0.25);
-  return y > surface;
+function miningProgress(m) {
+  if (!m.durationMs) return 1;
+  return Math.min(1, (Date.now() - m.startedAt) / m.durationMs);
 }
 
-function keepAboveGround(entity) {
-  const x = Math.max(0, Math.min(WORLD_W - 1, Math.floor(entity.x)));
-  const surface = surfaceMap[x] || Math.floor(WORLD_H * 0.25);
-  if (entity.y > surface - 1) {
-    tryMove(entity, 0, -1);
-    return true;
-  }
-  return false;
+// End the player's current dig and tell their socket how it went
+function finishMining(p, status, reason) {
+  const m = p.mining;
+  p.mining = null;
+  sendTo(p.id, { type: 'mining', reqId: m.reqId, x: m.x, y: m.y, status, ...(reason ? { reason } : {}) });
 }
 
-function tryMove(entity, dx, dy) {
-  const nx = Math.max(0, Math.min(WORLD_W - 1, entity.x + dx));
-  const ny = Math.max(0, Math.min(WORLD_H - 1, entity.y + dy));
-  const t = getTile(Math.floor(nx), Math.floor(ny));
-  if (!isSolid(t)) {
-    entity.x = nx;
-    entity.y = ny;
-  }
+// Advance a timed dig: cancel if the player moved or the tile changed, break it when done
+function tickMining(p) {
+  const m = p.mining;
+  if (!m) return;
+  if (p.x !== m.fromX || p.y !== m.fromY) return finishMining(p, 'cancelled', 'moved');
+  if (getTile(m.x, m.y) !== m.tile) return finishMining(p, 'cancelled', 'tile changed');
+  if (!canModify(p, m.x, m.y)) return finishMining(p, 'cancelled', 'protected');
+  if (miningProgress(m) < 1) return;
+  if (!breakTile(p, m.x, m.y)) return finishMining(p, 'cancelled', 'tool tier too low');
+  finishMining(p, 'done');
 }
 
-function tickAnimals() {
-  // cap animals
-  while (animals.size > 50) {
-    const first = animals.keys().next().value;
-    if (!first) break;
-    animals.delete(first);
-  }
+function finishRoute(p, status, reason) {
+  const r = p.route;
+  p.route = null;
+  p.moveX = 0;
+  sendTo(p.id, { type: 'route', reqId: r.reqId, x: r.x, y: r.y, status, ...(reason ? { reason } : {}) });
+}
 
-  // random respawn if below cap
-  if (animals.size < 50 && rand() < 0.05) {
-    const x = Math.floor(rand() * WORLD_W);
-    const y = Math.max(1, (surfaceMap[x] || Math.floor(WORLD_H * 0.25)) - 1);
-    animals.set(randomUUID(), {
-      id: randomUUID(),
-      type: 'boar',
-      x,
-      y,
-      hp: 20,
-      vx: 0,
-      vy: 0,
-    });
+function planRoute(p, x, y, dig) {
+  return findPath(bodyCell(p), { x, y }, { dig, actor: p });
+}
+
+// Walk a goto route, mining what it digs through and replanning when the way closes
+function tickRoute(p) {
+  const r = p.route;
+  if (!r) return;
+  const next = steerRoute(p);
+  if (next === 'arrived') return finishRoute(p, 'arrived');
+  if (next === 'blocked') {
+    const plan = r.replans < PATH_REPLANS && planRoute(p, r.x, r.y, r.dig);
+    if (!plan) return finishRoute(p, 'blocked', 'no way through');
+    Object.assign(r, { path: plan.path, i: 0, progressAt: worldTime, replans: r.replans + 1 });
+  } else if (next && !p.mining && p.onGround && !p.vx) {
+    try {
+      actions.mine(p, next);
+    } catch (e) {
+      if (!(e instanceof ActionError)) throw e;
+      finishRoute(p, 'blocked', e.message);
+    }
   }
+}
 
-  for (const a of animals.values()) {
-    const x = Math.max(0, Math.min(WORLD_W - 1, Math.floor(a.x)));
-    const surface = surfaceMap[x] || Math.floor(WORLD_H * 0.25);
-    // keep boars on surface (walk over holes)
-    a.y = Math.min(a.y, surface - 1);
+const actions = {
+  keyframe(p) {
+    const stream = tickStreams.get(p.id);
+    if (stream) stream.keyframe = true;
+  },
 
-    if (avoidVoid(a) || keepAboveGround(a)) {
-      a.vx = Math.floor(rand() * 3) - 1;
+  // walk one step's worth of ticks; dy -1 also jumps
+  move(p, data) {
+    if (p.route) finishRoute(p, 'cancelled', 'moved');
+    const dx = data.dx || 0;
+    if (dx !== 0) {
+      p.look = dx > 0 ? 1 : 0;
+      if (p.onGround && !canAdvance(p, dx)) fail('BLOCKED', 'wall too high to step up');
+      p.moveX = dx;
+      p.walkTicks = PHYSICS.walkTicks;
     }
-    // random wander (horizontal mostly)
-    if (rand() < 0.3) {
-      a.vx = Math.floor(rand() * 3) - 1;
-      a.vy = 0;
+    if (data.dy === -1) p.jumpQueued = true;
+    return bodyState(p);
+  },
+
+  jump(p, data) {
+    if (!p.onGround && !inFluid(p)) fail('AIRBORNE', 'not standing on anything');
+    if (p.route) finishRoute(p, 'cancelled', 'moved');
+    p.jumpQueued = true;
+    if (data.dx) {
+      p.look = data.dx > 0 ? 1 : 0;
+      p.moveX = data.dx;
+      p.walkTicks = PHYSICS.walkTicks;
     }
-    tryMove(a, a.vx * 0.5, 0);
-  }
-}
+    return bodyState(p);
+  },
 
+  // walk to a tile along a planned path; the end is reported as {type:"route"}
+  goto(p, data) {
+    const { x, y } = requireTile(data);
+    const from = bodyCell(p);
+    if (Math.abs(x - from.x) > PATH_MAX_DIST || Math.abs(y - from.y) > PATH_MAX_DIST) {
+      fail('OUT_OF_RANGE', `goto reaches ${PATH_MAX_DIST} tiles`, { maxDist: PATH_MAX_DIST });
+    }
+    const plan = planRoute(p, x, y, !!data.dig);
+    if (!plan) fail('NO_PATH', `no way to ${x},${y}`);
+    if (p.route) finishRoute(p, 'cancelled', 'retargeted');
+    p.route = { x, y, dig: !!data.dig, path: plan.path, i: 0, progressAt: worldTime, replans: 0, reqId: data.reqId ?? null };
+    return { x, y, steps: plan.path.length, cost: plan.cost };
+  },
 
-function assignNpcGoal(n) {
-  const now = Date.now();
-  const x = Math.max(0, Math.min(WORLD_W - 1, Math.floor(n.x)));
-  const surface = surfaceMap[x] || Math.floor(WORLD_H * 0.25);
-  let goal = 'wander';
-  const r = rand();
-  if (isBelowDirt(n.x, n.y)) {
-    const stage = (n.goalStage || 0) % 3; // 0 shaft,1 diag,2 shaft
-    goal = stage == 1 ? 'diag' : 'shaft';
-    n.goalStage = (stage + 1) % 3;
-  } else {
-    goal = 'shaft';
-  }
-  n.goal = goal;
-  n.goalDir = n.roamX != null ? (n.roamX > n.x ? 1 : -1) : (rand() < 0.5 ? -1 : 1);
-  n.goalUntil = now + Math.floor(20000 + rand() * 20000);
-}
+  attack(p, data) {
+    const dmg = readyWeapon(p);
+    const t = players.get(data.targetId);
+    if (!t) fail('NOT_FOUND', 'no such player');
+    if (sameFaction(p, t) && !factions.get(p.faction)?.friendlyFire) fail('FRIENDLY_FIRE', 'friendly fire is off in your faction');
+    requireReach(p, t.x, t.y, REACH.attack);
+    p.lastAttack = Date.now();
+    emitFx({ kind: 'attack', x1: p.x, y1: p.y, x2: t.x, y2: t.y, actorId: p.id, actorType: 'player' });
+    const killed = damagePlayer(t, dmg, p);
+    return { targetId: t.id, dmg, targetHp: killed ? 0 : t.hp, killed };
+  },
 
-function tickNpcs() {
-  // cap NPCs
-  while (npcs.size > 30) {
-    const first = npcs.keys().next().value;
-    if (!first) break;
-    npcs.delete(first);
-  }
+  attackAnimal(p, data) {
+    const dmg = readyWeapon(p);
+    const a = animals.get(data.animalId);
+    if (!a) fail('NOT_FOUND', 'no such animal');
+    requireReach(p, a.x, a.y, REACH.attack);
+    p.lastAttack = Date.now();
+    emitFx({ kind: 'attack', x1: p.x, y1: p.y, x2: a.x, y2: a.y, actorId: p.id, actorType: 'player' });
+    a.hp -= dmg;
+    const def = creatureDef(a.type);
+    if (['aggressive', 'defensive'].includes(def?.temperament)) {
+      a.target = { id: p.id, until: Date.now() + AGGRO_MS };
+    } else if (def?.temperament === 'skittish') {
+      a.fleeing = { x: p.x, until: Date.now() + AGGRO_MS };
+    }
+    const killed = a.hp <= 0;
+    if (killed) {
+      animals.delete(a.id);
+      rollLoot(p, def ? def.loot : [{ item: ITEM.MEAT }]);
+    }
+    return { animalId: a.id, animalHp: Math.max(0, a.hp), killed };
+  },
 
-  // respawn if below cap
-  if (npcs.size < 30 && rand() < 0.08) {
-    const id = randomUUID();
-    const base = NPC_NAMES[Math.floor(rand() * NPC_NAMES.length)];
-    const suffix = rand() < 0.4 ? `-${Math.floor(rand() * 90 + 10)}` : '';
-    npcs.set(id, {
-      id,
-      name: `${base}${suffix}`,
-      x: Math.floor(rand() * WORLD_W),
-      y: Math.floor(WORLD_H * 0.45 + rand() * WORLD_H * 0.5),
-      hp: 100,
-      inv: {},
-      vx: 0,
-      vy: 0,
-      skin: SKINS[Math.floor(rand() * SKINS.length)],
-      goal: null,
-      goalUntil: 0,
-      goalDir: 0,
-      goalStage: 0,
-      roamX: Math.floor(rand() * WORLD_W),
-      stats: { blocksMined: 0, itemsCrafted: 0, playtimeMs: 0 },
-    });
-  }
+  attackNpc(p, data) {
+    const dmg = readyWeapon(p);
+    const n = npcs.get(data.npcId);
+    if (!n) fail('NOT_FOUND', 'no such npc');
+    requireReach(p, n.x, n.y, REACH.attack);
+    p.lastAttack = Date.now();
+    emitFx({ kind: 'attack', x1: p.x, y1: p.y, x2: n.x, y2: n.y, actorId: p.id, actorType: 'player' });
+    hurtNpc(n, p, dmg);
+    return { npcId: n.id, dmg, npcHp: n.hp, killed: n.hp === 0 };
+  },
 
-  for (const n of npcs.values()) {
-    if (n.roamX == null) n.roamX = Math.floor(rand() * WORLD_W);
-    if (Math.abs(n.x - n.roamX) < 5) n.roamX = Math.floor(rand() * WORLD_W);
-    if (n.y > WORLD_H * 0.8) {
-      tryMove(n, 0, -1);
+  eat(p, data) {
+    if (data.item !== ITEM.MEAT) fail('NOT_FOOD', `${data.item} is not edible`);
+    if ((p.inv[ITEM.MEAT] || 0) <= 0) fail('INSUFFICIENT_ITEMS', `no ${ITEM.MEAT}`);
+    p.inv[ITEM.MEAT] -= 1;
+    p.hp = Math.min(100, p.hp + 20);
+    emitFx({ kind: 'eat', x: p.x, y: p.y, actorId: p.id, actorType: 'player' });
+  },
+
+  mine(p, data) {
+    const { x, y } = requireTile(data);
+    requireReach(p, x, y, REACH.mine);
+    const t = getTile(x, y);
+    if (!isBreakable(t)) fail('INVALID_TARGET', 'nothing to mine');
+    requireModify(p, x, y);
+    if (tileDef(t)?.container) {
+      const chest = chests.get(chestKey(x, y));
+      if (chest?.owner && chest.owner !== p.id) fail('NOT_OWNER', 'only the owner can break this chest');
+      if (chest && chestSlotsUsed(chest.items) > 0) fail('CHEST_NOT_EMPTY', 'empty the chest first');
     }
-    if (n.stats) n.stats.playtimeMs = (n.stats.playtimeMs || 0) + 100;
-    if (!n.goal || Date.now() > (n.goalUntil || 0)) assignNpcGoal(n);
-
-    if (avoidVoid(n)) {
-      n.vx = 0;
-      n.vy = -1;
-      tryMove(n, 0, -1);
-    }
-
-    const goal = n.goal || 'wander';
-    const horizontal = goal === 'tunnel';
-    const isDiag = goal === 'diag';
-    const isShaft = goal === 'shaft';
-
-
-    if (goal === 'shaft') {
-      // horizontal mineshaft
-      const dir = n.goalDir || (rand() < 0.5 ? -1 : 1);
-      n.vx = dir;
-      tryMove(n, dir * 0.7, 0);
-    } else if (goal === 'diag') {
-      const dir = n.goalDir || (rand() < 0.5 ? -1 : 1);
-      n.vx = dir;
-      tryMove(n, dir * 0.75, 0.75);
-    } else if (goal === 'surface') { // deprecated
-      // no-op
-
-      if (keepAboveGround(n)) {
-        n.vx = 0;
-        n.vy = -1;
-        const tx = Math.floor(n.x);
-        const ty = Math.floor(n.y - 1);
-        const t = getTile(tx, ty);
-        if (t !== TILE.AIR && t !== TILE.SKY) {
-          setTile(tx, ty, TILE.AIR);
-          const item = t === TILE.TREE ? ITEM.WOOD : t === TILE.ORE ? ITEM.ORE : t === TILE.STONE ? ITEM.STONE : ITEM.DIRT;
-        // vein mining: clear nearby ore
-        if (t === TILE.ORE) {
-          for (let ox = -1; ox <= 1; ox++) {
-            for (let oy = -1; oy <= 1; oy++) {
-              if (ox === 0 && oy === 0) continue;
-              const vx = tx + ox;
-              const vy = ty + oy;
-              if (getTile(vx, vy) === TILE.ORE) {
-                setTile(vx, vy, TILE.AIR);
-                n.inv[ITEM.ORE] = (n.inv[ITEM.ORE] || 0) + 1;
-                if (n.stats) n.stats.blocksMined = (n.stats.blocksMined || 0) + 1;
-              }
-            }
-          }
-        }
-          n.inv[item] = (n.inv[item] || 0) + 1;
-          if (n.stats) n.stats.blocksMined = (n.stats.blocksMined || 0) + 1;
-        } else {
-          tryMove(n, 0, -1);
-        }
-      } else {
-        n.vx = n.goalDir || (rand() < 0.5 ? -1 : 1);
-        tryMove(n, n.vx * 0.75, 0);
-      }
-    } else if (goal === 'tunnel') {
-      n.vx = n.goalDir || (rand() < 0.5 ? -1 : 1);
-      tryMove(n, n.vx * 0.9, 0);
-    } else if (goal === 'build') {
-      if (rand() < 0.5) n.vx = n.goalDir || (rand() < 0.5 ? -1 : 1);
-      tryMove(n, n.vx * 0.75, 0);
-    } else {
-      if (rand() < 0.3) n.vx = Math.floor(rand() * 3) - 1;
-      tryMove(n, n.vx * 1.0, 0);
-    }
-
-    if (n.vx !== 0) n.look = n.vx > 0 ? 1 : 0;
-    applyGravity(n);
-
-    // if blocked horizontally, mine forward to keep moving
-    if (goal === 'tunnel' || goal === 'wander') {
-      const dx = n.goalDir || (rand() < 0.5 ? -1 : 1);
-      const tx = Math.floor(n.x + dx);
-      const ty = Math.floor(n.y);
-      const t = getTile(tx, ty);
-      if (t !== TILE.AIR && t !== TILE.SKY && rand() < 0.25) {
-        setTile(tx, ty, TILE.AIR);
-        const item = t === TILE.TREE ? ITEM.WOOD : t === TILE.ORE ? ITEM.ORE : t === TILE.STONE ? ITEM.STONE : ITEM.DIRT;
-        // vein mining: clear nearby ore
-        if (t === TILE.ORE) {
-          for (let ox = -1; ox <= 1; ox++) {
-            for (let oy = -1; oy <= 1; oy++) {
-              if (ox === 0 && oy === 0) continue;
-              const vx = tx + ox;
-              const vy = ty + oy;
-              if (getTile(vx, vy) === TILE.ORE) {
-                setTile(vx, vy, TILE.AIR);
-                n.inv[ITEM.ORE] = (n.inv[ITEM.ORE] || 0) + 1;
-                if (n.stats) n.stats.blocksMined = (n.stats.blocksMined || 0) + 1;
-              }
-            }
-          }
-        }
-        n.inv[item] = (n.inv[item] || 0) + 1;
-        if (n.stats) n.stats.blocksMined = (n.stats.blocksMined || 0) + 1;
-      }
+    const minTier = tileDef(t)?.minTier || 0;
+    if (toolTier(p) < minTier) fail('TOOL_TIER_TOO_LOW', `${tileDef(t).name} needs a tier ${minTier} pickaxe`, { minTier });
+    if (p.mining?.x === x && p.mining?.y === y) return { x, y, durationMs: p.mining.durationMs, progress: miningProgress(p.mining) };
+    if (p.mining) finishMining(p, 'cancelled', 'retargeted');
+    p.mining = { x, y, tile: t, fromX: p.x, fromY: p.y, startedAt: Date.now(), durationMs: mineDuration(p, t), reqId: data.reqId ?? null };
+    return { x, y, durationMs: p.mining.durationMs, progress: 0 };
+  },
+
+  build(p, data) {
+    const { x, y } = requireTile(data);
+    const { tile } = data;
+    requireReach(p, x, y, REACH.build);
+    const item = tileDef(tile)?.placedBy;
+    if (!item) fail('UNKNOWN_TILE', `cannot build tile ${tile}`);
+    if (isBreakable(getTile(x, y))) fail('INVALID_TARGET', 'tile is not empty');
+    requireModify(p, x, y);
+    const container = tileDef(tile)?.container;
+    if (container && chests.has(chestKey(x, y))) fail('INVALID_TARGET', 'a chest is already here');
+    if ((p.inv[item] || 0) <= 0) fail('INSUFFICIENT_ITEMS', `no ${item}`);
+    setTile(x, y, tile);
+    p.inv[item] -= 1;
+    if (container) chests.set(chestKey(x, y), { items: {}, owner: p.id, mode: 'private', allow: [] });
+  },
+
+  craft(p, data) {
+    const { recipe } = data;
+    const r = Object.hasOwn(RECIPES(), recipe) ? RECIPES()[recipe] : null;
+    if (!r) fail('UNKNOWN_RECIPE', `no recipe ${recipe}`);
+    if (p.crafting) fail('BUSY', `already crafting ${p.crafting.recipe}`);
+    const status = recipeStatus(p, r);
+    if (Object.keys(status.missing).length) fail('INSUFFICIENT_ITEMS', 'missing ingredients', { missing: status.missing });
+    if (!status.nearStation) fail('NO_STATION', `must be within ${STATION_RANGE} tiles of a ${r.station}`, { station: r.station });
+    // inputs are taken now; outputs arrive when the timer runs out
+    for (const [k, v] of Object.entries(r.in)) p.inv[k] -= v;
+    p.crafting = {
+      recipe,
+      in: { ...r.in },
+      out: { ...r.out },
+      station: r.station || null,
+      startedAt: Date.now(),
+      durationMs: r.timeMs || 0,
+      reqId: data.reqId ?? null,
+    };
+    if (!p.crafting.durationMs) {
+      finishCrafting(p, 'done');
+      return { recipe, durationMs: 0 };
     }
-    // Mine nearby block (goal-driven)
-    if (isBelowDirt(n.x, n.y) && (goal === 'tunnel' ? rand() < 0.15 : rand() < 0.03)) {
-      let dx;
-      let dy;
-      if (horizontal) {
-        dx = n.goalDir || (rand() < 0.5 ? -1 : 1);
-        dy = 0;
-      } else if (isShaft) {
-        dx = n.goalDir || (rand() < 0.5 ? -1 : 1);
-        dy = 0;
-      } else if (isDiag) {
-        dx = n.goalDir || (rand() < 0.5 ? -1 : 1);
-        dy = 1;
-      } else {
-        dx = Math.floor(rand() * 3 - 1);
-        dy = rand() < 0.5 ? 1 : -1;
-      }
-      const tx = Math.floor(n.x + dx);
-      const ty = Math.floor(n.y + dy);
-      const t = getTile(tx, ty);
-      if (t !== TILE.AIR && t !== TILE.SKY) {
-        setTile(tx, ty, TILE.AIR);
-        const item = t === TILE.TREE ? ITEM.WOOD : t === TILE.ORE ? ITEM.ORE : t === TILE.STONE ? ITEM.STONE : ITEM.DIRT;
-        // vein mining: clear nearby ore
-        if (t === TILE.ORE) {
-          for (let ox = -1; ox <= 1; ox++) {
-            for (let oy = -1; oy <= 1; oy++) {
-              if (ox === 0 && oy === 0) continue;
-              const vx = tx + ox;
-              const vy = ty + oy;
-              if (getTile(vx, vy) === TILE.ORE) {
-                setTile(vx, vy, TILE.AIR);
-                n.inv[ITEM.ORE] = (n.inv[ITEM.ORE] || 0) + 1;
-                if (n.stats) n.stats.blocksMined = (n.stats.blocksMined || 0) + 1;
-              }
-            }
-          }
-        }
-        n.inv[item] = (n.inv[item] || 0) + 1;
-      }
+    return { recipe, durationMs: p.crafting.durationMs };
+  },
+
+  openChest(p, data) {
+    const { x, y } = requireTile(data);
+    requireReach(p, x, y, REACH.chest);
+    return chestView(p, x, y, requireChest(p, x, y));
+  },
+
+  putChest(p, data) {
+    const { x, y } = requireTile(data);
+    const { item, count } = data;
+    requireReach(p, x, y, REACH.chest);
+    const chest = requireChest(p, x, y);
+    if ((p.inv[item] || 0) < count) fail('INSUFFICIENT_ITEMS', `not enough ${item}`);
+    const after = { ...chest.items, [item]: (chest.items[item] || 0) + count };
+    const capacity = chestCapacity(chest);
+    if (chestSlotsUsed(after) > capacity) fail('CHEST_FULL', `chest holds ${capacity} stacks`, { capacity });
+    p.inv[item] -= count;
+    dropSpentActive(p);
+    chest.items = after;
+    return chestView(p, x, y, chest);
+  },
+
+  takeChest(p, data) {
+    const { x, y } = requireTile(data);
+    const { item, count } = data;
+    requireReach(p, x, y, REACH.chest);
+    const chest = requireChest(p, x, y);
+    if ((chest.items[item] || 0) < count) fail('INSUFFICIENT_ITEMS', `chest has not enough ${item}`);
+    chest.items[item] -= count;
+    if (chest.items[item] === 0) delete chest.items[item];
+    p.inv[item] = (p.inv[item] || 0) + count;
+    if (chest.dropped && chestSlotsUsed(chest.items) === 0) chests.delete(chestKey(x, y));
+    return chestView(p, x, y, chest);
+  },
+
+  lockChest(p, data) {
+    const { x, y } = requireTile(data);
+    requireReach(p, x, y, REACH.chest);
+    const chest = chests.get(chestKey(x, y));
+    if (!chest) fail('NOT_FOUND', 'no chest here');
+    if (chest.owner !== p.id) fail('NOT_OWNER', 'only the owner can change the lock');
+    if (!canUseClaimedChest(p, x, y)) fail('PROTECTED', 'chest is inside someone else\'s claim');
+    chest.mode = data.mode;
+    if (data.allow) chest.allow = data.allow;
+    return chestView(p, x, y, chest);
+  },
+
+  tradeOffer(p, data) {
+    const { targetId, give = {}, want = {} } = data;
+    if (!Object.keys(give).length && !Object.keys(want).length) fail('BAD_REQUEST', 'give or want required');
+    for (const item of [...Object.keys(give), ...Object.keys(want)]) {
+      if (!Object.hasOwn(ITEM_DEFS.items, item)) fail('BAD_REQUEST', `unknown item ${item}`);
     }
+    const target = players.get(targetId);
+    if (!target || target.id === p.id || !sockets.has(target.id)) fail('NOT_FOUND', 'target is not online');
+    const dist = Math.hypot(target.x - p.x, target.y - p.y);
+    if (dist > TRADE_RANGE) fail('OUT_OF_RANGE', `target is ${dist.toFixed(1)} tiles away (range ${TRADE_RANGE})`);
+    const open = Array.from(trades.values()).filter((t) => t.from === p.id).length;
+    if (open >= MAX_OPEN_TRADES) fail('TOO_MANY_TRADES', `at most ${MAX_OPEN_TRADES} open offers`);
+    const missing = missingItems(p.inv, give);
+    if (Object.keys(missing).length) fail('INSUFFICIENT_ITEMS', 'missing offered items', { missing });
+    for (const [k, v] of Object.entries(give)) p.inv[k] -= v;
+    dropSpentActive(p);
+    const now = Date.now();
+    const t = { id: randomUUID(), from: p.id, to: target.id, give, want, createdAt: now, expiresAt: now + TRADE_TTL_MS };
+    trades.set(t.id, t);
+    notifyTrade(t, 'offered');
+    return { trade: tradeView(t) };
+  },
+
+  tradeAccept(p, data) {
+    const t = requireTrade(p, data.tradeId);
+    if (t.to !== p.id) fail('NOT_OWNER', 'only the target can accept');
+    const from = players.get(t.from);
+    if (!from) fail('NOT_FOUND', 'offerer is gone');
+    const dist = Math.hypot(from.x - p.x, from.y - p.y);
+    if (dist > TRADE_RANGE) fail('OUT_OF_RANGE', `offerer is ${dist.toFixed(1)} tiles away (range ${TRADE_RANGE})`);
+    const missing = missingItems(p.inv, t.want);
+    if (Object.keys(missing).length) fail('INSUFFICIENT_ITEMS', 'missing requested items', { missing });
+    const full = stackOverflow(p.inv, t.want, t.give);
+    if (full) fail('STACK_FULL', `you can hold at most ${full.stack} ${full.item}`, full);
+    const fromFull = stackOverflow(from.inv, {}, t.want);
+    if (fromFull) fail('STACK_FULL', `${from.name} can hold at most ${fromFull.stack} ${fromFull.item}`, fromFull);
+    trades.delete(t.id);
+    for (const [k, v] of Object.entries(t.want)) p.inv[k] -= v;
+    dropSpentActive(p);
+    addItems(from.inv, t.want);
+    addItems(p.inv, t.give);
+    notifyTrade(t, 'completed');
+    const fmt = (items) => Object.entries(items).map(([k, v]) => `${v} ${k}`).join(', ') || 'nothing';
+    const msg = `🤝 ${from.name} traded ${fmt(t.give)} to ${p.name} for ${fmt(t.want)}`;
+    addChat(msg);
+    broadcast({ type: 'chat', message: msg });
+    emitFx({ kind: 'trade', x1: from.x, y1: from.y, x2: p.x, y2: p.y, actorId: from.id, targetId: p.id, actorType: 'player' });
+    return { trade: tradeView(t) };
+  },
 
-    // Build if goal is build (or sometimes)
-    if (false && (goal === 'build' ? rand() < 0.04 : rand() < 0.01)) {
-      const buildTile = [TILE.DIRT, TILE.STONE, TILE.TREE][Math.floor(rand() * 3)];
-      const map = {
-        [TILE.DIRT]: ITEM.DIRT,
-        [TILE.STONE]: ITEM.STONE,
-        [TILE.TREE]: ITEM.WOOD,
-      };
-      const item = map[buildTile];
-      const tx = Math.floor(n.x + (rand() * 3 - 1));
-      const ty = Math.floor(n.y + (rand() * 3 - 1));
-      if (getTile(tx, ty) === TILE.AIR && item && (n.inv[item] || 0) > 0) {
-        setTile(tx, ty, buildTile);
-        n.inv[item] -= 1;
-        if (n.stats) n.stats.itemsCrafted = (n.stats.itemsCrafted || 0) + 1;
-        emitFx({ kind: 'build', x: tx, y: ty, actorId: n.id, actorType: 'npc' });
+  tradeCancel(p, data) {
+    const t = requireTrade(p, data.tradeId);
+    closeTrade(t, 'cancelled', t.from === p.id ? 'withdrawn' : 'declined');
+  },
+
+  claim(p, data) {
+    const { x, y } = requireTile(data);
+    const { w, h } = data;
+    const rect = { x, y, w, h };
+    if (x + w > WORLD_W || y + h > WORLD_H) fail('OUT_OF_BOUNDS', 'claim extends outside the world');
+    if (w * h > CLAIM_MAX_AREA) fail('CLAIM_TOO_LARGE', `claims cover at most ${CLAIM_MAX_AREA} tiles`);
+    const dx = Math.max(x - p.x, 0, p.x - (x + w - 1));
+    const dy = Math.max(y - p.y, 0, p.y - (y + h - 1));
+    if (Math.hypot(dx, dy) > CLAIM_RANGE) fail('OUT_OF_RANGE', `claim must be within ${CLAIM_RANGE} tiles`);
+    const owned = Array.from(claims.values()).filter((c) => c.owner === p.id).length;
+    if (owned >= MAX_CLAIMS) fail('TOO_MANY_CLAIMS', `at most ${MAX_CLAIMS} claims per player`);
+    for (const c of [...claims.values(), ...protectedZones()]) {
+      if (c.owner === p.id && c.kind === 'spawn') continue;
+      if (rectsOverlap(rect, c)) fail('CLAIM_OVERLAP', `overlaps ${c.name}`, { claim: claimView(c) });
+    }
+    for (const k of chests.keysWithin(x + w / 2, y + h / 2, Math.max(w, h) / 2)) {
+      const at = chests.position(k);
+      const owner = chests.get(k).owner;
+      if (owner && owner !== p.id && rectContains(rect, at.x, at.y)) {
+        fail('CLAIM_OVERLAP', 'claim covers another player\'s chest', { x: at.x, y: at.y });
       }
     }
-  }
-}
+    const c = {
+      id: randomUUID(),
+      name: data.name || `${p.name}'s claim`,
+      owner: p.id,
+      faction: data.shared && p.faction ? p.faction : null,
+      allow: [],
+      ...rect,
+      createdAt: Date.now(),
+    };
+    claims.set(c.id, c);
+    return { claim: claimView(c) };
+  },
 
-// REST: join (unique usernames)
-app.post('/join', (req, res) => {
-  const { name } = req.body || {};
-  if (!name) return res.status(400).json({ ok: false, error: 'name required' });
-  const activeCount = Array.from(players.values()).filter(isActivePlayer).length;
-  if (activeCount >= MAX_PLAYERS) return res.status(429).json({ ok: false, error: 'server full' });
-  for (const p of players.values()) {
-    if (p.name.toLowerCase() === String(name).toLowerCase()) {
-      return res.status(409).json({ ok: false, error: 'name taken' });
-    }
-  }
-  const player = spawnPlayer(name);
-  players.set(player.id, player);
-  const joinMsg = `${player.name} joined the world`;
-  addChat(joinMsg);
-  broadcast({ type: 'chat', message: joinMsg });
-  res.json({ ok: true, playerId: player.id, apiKey: player.apiKey, spawn: player.spawn });
-});
+  unclaim(p, data) {
+    const c = claims.get(data.claimId);
+    if (!c) fail('NOT_FOUND', 'no such claim');
+    if (c.owner !== p.id) fail('NOT_OWNER', 'only the owner can remove a claim');
+    claims.delete(c.id);
+  },
 
-// REST: get state (simple)
-app.get('/state', (req, res) => {
-  const { playerId, apiKey } = req.query;
-  const p = players.get(playerId);
-  if (!p || p.apiKey !== apiKey) return res.status(401).json({ ok: false, error: 'unauthorized' });
-  res.json({ ok: true, player: p, players: Array.from(players.values()) });
-});
+  claimConfig(p, data) {
+    const c = claims.get(data.claimId);
+    if (!c) fail('NOT_FOUND', 'no such claim');
+    if (c.owner !== p.id) fail('NOT_OWNER', 'only the owner can change a claim');
+    if (data.shared !== undefined) c.faction = data.shared && p.faction ? p.faction : null;
+    if (data.allow) c.allow = data.allow;
+    if (data.name) c.name = data.name;
+    return { claim: { ...claimView(c), allow: c.allow } };
+  },
 
-function getWorldSnapshot() {
-  return {
-    ok: true,
-    worldWidth: WORLD_W,
-    worldHeight: WORLD_H,
-    worldSize: WORLD_W,
-    worldSeed: worldSeed,
-    tiles: Array.from(world),
-    players: Array.from(players.values()).filter(isActivePlayer).map(({ apiKey, ...rest }) => rest),
-    animals: Array.from(animals.values()),
-    npcs: Array.from(npcs.values()),
-    villages,
-    chat: chatLog,
-  };
-}
+  shopList(p, data) {
+    const n = requireMerchant(p, data.npcId);
+    return { npcId: n.id, name: n.name, currency: ITEM_DEFS.currency, funds: n.inv[ITEM_DEFS.currency] || 0, items: shopListing(n) };
+  },
 
-// Public world snapshot (safe, no apiKey)
-app.get('/world', (req, res) => {
-  res.json(getWorldSnapshot());
-});
+  shopBuy(p, data) {
+    const n = requireMerchant(p, data.npcId);
+    const { item, count } = data;
+    const shop = shopDef(n.merchant);
+    if (!Object.hasOwn(shop.items, item)) fail('NOT_SOLD', `${n.name} does not trade ${item}`);
+    const stock = n.shop.stock[item] || 0;
+    if (stock < count) fail('OUT_OF_STOCK', `${n.name} has ${stock} ${item}`, { stock });
+    const cost = quote(shop, item, stock, count, false);
+    const coin = ITEM_DEFS.currency;
+    if ((p.inv[coin] || 0) < cost) fail('INSUFFICIENT_FUNDS', `costs ${cost} ${coin}`, { cost });
+    p.inv[coin] -= cost;
+    p.inv[item] = (p.inv[item] || 0) + count;
+    n.shop.stock[item] = stock - count;
+    n.inv[coin] = (n.inv[coin] || 0) + cost;
+    return { item, count, cost, items: shopListing(n) };
+  },
 
-// Public leaderboard (safe)
-app.get('/leaderboard', (req, res) => {
-  const list = Array.from(players.values()).map((p) => {
-    const stats = p.stats || {};
-    return {
-      id: p.id,
-      name: p.name,
-      kills: stats.kills || 0,
-      deaths: stats.deaths || 0,
-      kd: stats.deaths ? (stats.kills || 0) / stats.deaths : stats.kills || 0,
-      blocksMined: stats.blocksMined || 0,
-      itemsCrafted: stats.itemsCrafted || 0,
-      playtimeMs: stats.playtimeMs || 0,
-    };
-  });
-  list.sort((a, b) => b.kills - a.kills);
-  res.json({ ok: true, players: list });
-});
+  shopSell(p, data) {
+    const n = requireMerchant(p, data.npcId);
+    const { item, count } = data;
+    const shop = shopDef(n.merchant);
+    if (!Object.hasOwn(shop.items, item)) fail('NOT_SOLD', `${n.name} does not trade ${item}`);
+    if ((p.inv[item] || 0) < count) fail('INSUFFICIENT_ITEMS', `not enough ${item}`);
+    const stock = n.shop.stock[item] || 0;
+    const paid = quote(shop, item, stock, count, true);
+    const coin = ITEM_DEFS.currency;
+    const funds = n.inv[coin] || 0;
+    if (funds < paid) fail('MERCHANT_NO_FUNDS', `${n.name} has only ${funds} ${coin}`, { paid, funds });
+    p.inv[item] -= count;
+    dropSpentActive(p);
+    p.inv[coin] = (p.inv[coin] || 0) + paid;
+    n.inv[coin] = funds - paid;
+    n.shop.stock[item] = stock + count;
+    return { item, count, paid, items: shopListing(n) };
+  },
 
-const server = app.listen(PORT, () => {
-  console.log(`Moltwars server running on :${PORT}`);
-});
+  equip(p, data) {
+    const item = data.item;
+    if ((p.inv[item] || 0) <= 0) fail('INSUFFICIENT_ITEMS', `no ${item}`);
+    p.active = item;
+  },
 
-// WebSocket for realtime actions
-const wss = new WebSocketServer({ noServer: true });
-// Public world-view WebSocket (no auth)
-const wssWorld = new WebSocketServer({ noServer: true });
-const worldSockets = new Map(); // ws -> {x,y,w,h}
+  unequip(p) {
+    p.active = null;
+  },
 
-server.on('upgrade', (req, socket, head) => {
-  try {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    if (url.pathname === '/ws/world') {
-      wssWorld.handleUpgrade(req, socket, head, (ws) => {
-        wssWorld.emit('connection', ws, req);
-      });
+  chat(p, data) {
+    if (data.channel === 'team') {
+      const f = requireFaction(p);
+      sendToFaction(f, { type: 'chat', channel: 'team', factionId: f.id, from: p.id, message: `[${f.name}] ${p.name}: ${data.message}` });
       return;
     }
-    if (url.pathname === '/ws') {
-      wss.handleUpgrade(req, socket, head, (ws) => {
-        wss.emit('connection', ws, req);
-      });
-      return;
+    const msg = `${p.name}: ${data.message}`;
+    addChat(msg);
+    broadcast({ type: 'chat', message: msg });
+  },
+
+  factionCreate(p, data) {
+    if (p.faction) fail('ALREADY_IN_FACTION', 'leave your faction first');
+    const name = data.name.trim();
+    if (!name) fail('BAD_REQUEST', 'name required');
+    for (const f of factions.values()) {
+      if (f.name.toLowerCase() === name.toLowerCase()) fail('FACTION_EXISTS', 'faction name taken');
     }
-  } catch (e) {}
-  socket.destroy();
-});
+    const f = { id: randomUUID(), name, leader: p.id, members: [p.id], invites: [], friendlyFire: false, createdAt: Date.now() };
+    factions.set(f.id, f);
+    p.faction = f.id;
+    announce(`⚑ ${p.name} founded ${f.name}`);
+    return { faction: factionView(f) };
+  },
+
+  factionInvite(p, data) {
+    const f = requireFaction(p);
+    const target = players.get(data.playerId);
+    if (!target) fail('NOT_FOUND', 'no such player');
+    if (target.faction === f.id) fail('ALREADY_IN_FACTION', `${target.name} is already a member`);
+    if (!f.invites.includes(target.id)) f.invites.push(target.id);
+    sendTo(target.id, { type: 'faction', event: 'invited', faction: factionView(f), by: p.id });
+    return { faction: factionView(f) };
+  },
+
+  factionJoin(p, data) {
+    if (p.faction) fail('ALREADY_IN_FACTION', 'leave your faction first');
+    const f = factions.get(data.factionId);
+    if (!f) fail('NOT_FOUND', 'no such faction');
+    if (!f.invites.includes(p.id)) fail('NOT_INVITED', `no invite to ${f.name}`);
+    if (f.members.length >= MAX_FACTION_MEMBERS) fail('FACTION_FULL', `${f.name} has ${MAX_FACTION_MEMBERS} members`);
+    f.invites = f.invites.filter((id) => id !== p.id);
+    f.members.push(p.id);
+    p.faction = f.id;
+    sendToFaction(f, { type: 'faction', event: 'joined', faction: factionView(f), playerId: p.id });
+    announce(`⚑ ${p.name} joined ${f.name}`);
+    return { faction: factionView(f) };
+  },
+
+  factionLeave(p) {
+    const f = requireFaction(p);
+    leaveFaction(p, f);
+    announce(`⚑ ${p.name} left ${f.name}`);
+  },
+
+  factionConfig(p, data) {
+    const f = requireFaction(p);
+    if (f.leader !== p.id) fail('NOT_LEADER', 'only the faction leader can change settings');
+    if (data.friendlyFire !== undefined) f.friendlyFire = data.friendlyFire;
+    sendToFaction(f, { type: 'faction', event: 'updated', faction: factionView(f) });
+    return { faction: factionView(f) };
+  },
+};
+
+function handleAction(p, raw) {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (e) {
+    return { type: 'error', reqId: null, code: 'BAD_JSON', message: 'message is not valid JSON' };
+  }
+  const reqId = data?.reqId ?? null;
+  const schema = typeof data?.type === 'string' && Object.hasOwn(PROTOCOL.actions, data.type) ? PROTOCOL.actions[data.type] : null;
+  if (!schema) {
+    return { type: 'error', reqId, action: data?.type ?? null, code: 'UNKNOWN_TYPE', message: `unknown action ${data?.type}` };
+  }
+  const invalid = validateSchema(schema, data);
+  if (invalid) return { type: 'error', reqId, action: data.type, code: 'BAD_REQUEST', message: invalid };
+  const handler = actions[data.type];
+  const before = playerState(p);
+  try {
+    const result = handler(p, data);
+    if (reqId == null) return null;
+    const ack = { type: 'ack', reqId, action: data.type, delta: diffPlayerState(before, playerState(p)) };
+    if (result) ack.result = result;
+    return ack;
+  } catch (e) {
+    if (e instanceof ActionError) {
+      return { type: 'error', reqId, action: data.type, code: e.code, message: e.message, ...e.extra };
+    }
+    console.error(`Action ${data.type} failed:`, e);
+    return { type: 'error', reqId, action: data.type, code: 'INTERNAL', message: 'internal error' };
+  }
+}
 
 wss.on('connection', (ws, req) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
@@ -941,174 +4076,42 @@ wss.on('connection', (ws, req) => {
     return;
   }
 
+  const clientVersion = url.searchParams.get('protocol');
+  if (clientVersion && protocolMajor(clientVersion) !== protocolMajor(PROTOCOL_VERSION)) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      reqId: null,
+      action: null,
+      code: 'PROTOCOL_MISMATCH',
+      message: `server speaks protocol ${PROTOCOL_VERSION}, client ${clientVersion}`,
+      protocolVersion: PROTOCOL_VERSION,
+    }));
+    ws.close(4000, 'protocol mismatch');
+    return;
+  }
+
+  // a player back after their spawn zone lapsed gets it back right away
+  if (Date.now() - (p.lastSeen || 0) > SPAWN_PROTECT_MS) {
+    p.lastSeen = Date.now();
+    invalidateZones();
+  }
   sockets.set(playerId, ws);
+  tickStreams.set(playerId, createTickStream(url.searchParams.get('delta') === '0'));
+  ws.send(JSON.stringify({ type: 'hello', protocolVersion: PROTOCOL_VERSION, playerId, defsVersion: defsStatus.version }));
 
   ws.on('message', (msg) => {
-    try {
-      p.lastSeen = Date.now();
-      const data = JSON.parse(msg.toString());
-      if (data.type === 'move') {
-        const dx = Math.max(-1, Math.min(1, data.dx || 0));
-        const dy = Math.max(-1, Math.min(1, data.dy || 0));
-        if (dx !== 0) p.look = dx > 0 ? 1 : 0;
-        tryMove(p, dx, dy);
-      }
-      if (data.type === 'attack' && data.targetId) {
-        const now = Date.now();
-        const active = p.active;
-        const baseDmg = 10;
-        let dmg = baseDmg;
-        let cd = 800; // default cooldown ms
-        if (active && ITEM_DEFS.items?.[active]?.tags?.includes('weapon')) {
-          dmg = ITEM_DEFS.items[active].dmg || baseDmg;
-          cd = ITEM_DEFS.items[active].cooldown || cd;
-        }
-        if (now - (p.lastAttack || 0) < cd) return;
-        p.lastAttack = now;
-
-        const t = players.get(data.targetId);
-        if (t) {
-          emitFx({ kind: 'attack', x1: p.x, y1: p.y, x2: t.x, y2: t.y, actorId: p.id, actorType: 'player' });
-          t.hp = Math.max(0, t.hp - dmg);
-          if (t.hp === 0) {
-            if (p.stats) p.stats.kills += 1;
-            if (t.stats) t.stats.deaths += 1;
-            // drop all loot into a chest at death location
-            const key = `${t.x},${t.y}`;
-            const chest = chests.get(key) || { items: {} };
-            for (const [item, count] of Object.entries(t.inv || {})) {
-              if (count > 0) chest.items[item] = (chest.items[item] || 0) + count;
-            }
-            chests.set(key, chest);
-            t.inv = {};
-
-            t.hp = 100;
-            t.x = t.spawn.x;
-            t.y = findSurfaceY(t.spawn.x);
-            const deathMsg = `${t.name} died and respawned`;
-            addChat(deathMsg);
-            broadcast({ type: 'chat', message: deathMsg });
-          }
-        }
-      }
-      if (data.type === 'attackAnimal' && data.animalId) {
-        const a = animals.get(data.animalId);
-        if (a) {
-          emitFx({ kind: 'attack', x1: p.x, y1: p.y, x2: a.x, y2: a.y, actorId: p.id, actorType: 'player' });
-          a.hp -= 5;
-          // run away
-          a.vx = Math.sign(a.x - p.x) * 2;
-          a.vy = Math.sign(a.y - p.y) * 2;
-          if (a.hp <= 0) {
-            animals.delete(a.id);
-            p.inv[ITEM.MEAT] = (p.inv[ITEM.MEAT] || 0) + 1;
-          }
-        }
-      }
-      if (data.type === 'eat' && data.item === ITEM.MEAT) {
-        if ((p.inv[ITEM.MEAT] || 0) > 0) {
-          p.inv[ITEM.MEAT] -= 1;
-          p.hp = Math.min(100, p.hp + 20);
-          emitFx({ kind: 'eat', x: p.x, y: p.y, actorId: p.id, actorType: 'player' });
-        }
-      }
-      if (data.type === 'mine') {
-        const { x, y } = data;
-        const t = getTile(x, y);
-        if (t !== TILE.AIR && t !== TILE.SKY) {
-          setTile(x, y, TILE.AIR);
-          const item = t === TILE.TREE ? ITEM.WOOD : t === TILE.ORE ? ITEM.ORE : t === TILE.STONE ? ITEM.STONE : ITEM.DIRT;
-        // vein mining: clear nearby ore
-        if (t === TILE.ORE) {
-          for (let ox = -1; ox <= 1; ox++) {
-            for (let oy = -1; oy <= 1; oy++) {
-              if (ox === 0 && oy === 0) continue;
-              const vx = tx + ox;
-              const vy = ty + oy;
-              if (getTile(vx, vy) === TILE.ORE) {
-                setTile(vx, vy, TILE.AIR);
-                n.inv[ITEM.ORE] = (n.inv[ITEM.ORE] || 0) + 1;
-                if (n.stats) n.stats.blocksMined = (n.stats.blocksMined || 0) + 1;
-              }
-            }
-          }
-        }
-          p.inv[item] = (p.inv[item] || 0) + 1;
-          if (p.stats) p.stats.blocksMined += 1;
-        }
-      }
-      if (data.type === 'build') {
-        const { x, y, tile } = data;
-        const map = {
-          [TILE.DIRT]: ITEM.DIRT,
-          [TILE.STONE]: ITEM.STONE,
-          [TILE.ORE]: ITEM.ORE,
-          [TILE.TREE]: ITEM.WOOD,
-        };
-        const item = map[tile];
-        if (getTile(x, y) === TILE.AIR && item && (p.inv[item] || 0) > 0) {
-          setTile(x, y, tile);
-          p.inv[item] -= 1;
-        }
-      }
-      if (data.type === 'craft') {
-        const { recipe } = data;
-        const r = RECIPES()[recipe];
-        if (!r) return;
-        let ok = true;
-        for (const [k, v] of Object.entries(r.in)) {
-          if ((p.inv[k] || 0) < v) ok = false;
-        }
-        if (ok) {
-          for (const [k, v] of Object.entries(r.in)) p.inv[k] -= v;
-          for (const [k, v] of Object.entries(r.out)) p.inv[k] = (p.inv[k] || 0) + v;
-          if (p.stats) p.stats.itemsCrafted += 1;
-        }
-      }
-      if (data.type === 'openChest') {
-        const { x, y } = data;
-        const key = `${x},${y}`;
-        if (!chests.has(key)) chests.set(key, { items: {} });
-      }
-      if (data.type === 'putChest') {
-        const { x, y, item, count } = data;
-        const key = `${x},${y}`;
-        const chest = chests.get(key) || { items: {} };
-        if ((p.inv[item] || 0) >= count) {
-          p.inv[item] -= count;
-          chest.items[item] = (chest.items[item] || 0) + count;
-          chests.set(key, chest);
-        }
-      }
-      if (data.type === 'takeChest') {
-        const { x, y, item, count } = data;
-        const key = `${x},${y}`;
-        const chest = chests.get(key);
-        if (chest && (chest.items[item] || 0) >= count) {
-          chest.items[item] -= count;
-          p.inv[item] = (p.inv[item] || 0) + count;
-          chests.set(key, chest);
-        }
-      }
-      if (data.type === 'equip' && data.item) {
-        const item = String(data.item);
-        if ((p.inv[item] || 0) > 0) {
-          p.active = item;
-        }
-      }
-      if (data.type === 'unequip') {
-        p.active = null;
-      }
-      if (data.type === 'chat' && data.message) {
-        const msg = `${p.name}: ${data.message}`;
-        addChat(msg);
-        broadcast({ type: 'chat', message: msg });
-      }
-    } catch (e) {}
+    p.lastSeen = Date.now();
+    const reply = handleAction(p, msg.toString());
+    if (reply && ws.readyState === 1) ws.send(JSON.stringify(reply));
   });
 
   ws.on('close', () => {
     sockets.delete(playerId);
+    tickStreams.delete(playerId);
+    tileMemory.delete(playerId);
+    p.mining = null;
+    p.route = null;
+    if (p.crafting) finishCrafting(p, 'cancelled', 'disconnected');
     const leaveMsg = `${p.name} left the world`;
     addChat(leaveMsg);
     broadcast({ type: 'chat', message: leaveMsg });
@@ -1123,7 +4126,7 @@ wssWorld.on('connection', (ws) => {
       const data = JSON.parse(msg.toString());
       if (data.type === 'view') {
         const { x, y, w, h } = data;
-        if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(w) && Number.isFinite(h)) {
+        if (!validateSchema(PROTOCOL.worldActions.view, data) && [x, y, w, h].every(Number.isFinite)) {
           worldSockets.set(ws, { x: Math.max(0, x), y: Math.max(0, y), w: Math.max(1, w), h: Math.max(1, h) });
         }
       }
@@ -1134,38 +4137,41 @@ wssWorld.on('connection', (ws) => {
 
 // Tick loop
 setInterval(() => {
+  worldTime += TICK_MS;
   tickAnimals();
   tickNpcs();
+  tickTrades();
+  tickFluids();
+  tickFalling();
   for (const [playerId, ws] of sockets.entries()) {
     if (ws.readyState !== 1) continue;
     const p = players.get(playerId);
     if (!p) continue;
     p.lastSeen = Date.now();
-    applyGravity(p);
-    // keep moltbots underground
-    if (p.y <= (surfaceMap[Math.max(0, Math.min(WORLD_W - 1, Math.floor(p.x)))] || Math.floor(WORLD_H * 0.25)) - 1) {
-      tryMove(p, 0, 1);
-    }
+    tickRoute(p);
+    const fall = stepBody(p, PHYSICS.playerSpeed);
+    players.reindex(p.id);
+    if (fall) hurtEntity(p, fall, 'a fall');
+    const hazard = fluidHazard(p);
+    if (hazard) hurtEntity(p, hazard.dmg, hazard.cause);
+    tickMining(p);
+    tickCrafting(p);
     if (p.stats) {
       const now = Date.now();
       const last = p.stats.lastTick || now;
       p.stats.playtimeMs += Math.max(0, now - last);
       p.stats.lastTick = now;
     }
-    const nearbyPlayers = Array.from(players.values())
+    const nearbyPlayers = players.within(p.x, p.y, VIEW_RADIUS)
       .filter(isActivePlayer)
-      .filter(o => Math.abs(o.x - p.x) <= VIEW_RADIUS && Math.abs(o.y - p.y) <= VIEW_RADIUS)
-      .map(({ apiKey, ...rest }) => rest);
+      .map(publicPlayer);
 
-    const payload = {
-      type: 'tick',
-      player: { id: p.id, x: p.x, y: p.y, hp: p.hp, inv: p.inv, skin: p.skin, active: p.active, look: p.look ?? 1 },
-      players: nearbyPlayers,
-      tiles: getViewport(p),
-      chests: nearbyChests(p),
-      animals: nearbyAnimals(p),
-      npcs: nearbyNpcs(p),
-    };
+    let stream = tickStreams.get(playerId);
+    if (!stream) {
+      stream = createTickStream();
+      tickStreams.set(playerId, stream);
+    }
+    const payload = encodeTick(stream, p, nearbyPlayers);
     ws.send(JSON.stringify(payload));
   }
 }, 1000 / TICK_RATE);
@@ -1187,7 +4193,9 @@ setInterval(() => {
       worldHeight: WORLD_H,
       x, y, w, h,
       tiles: getRectTiles(x, y, w, h),
-      players: Array.from(players.values()).filter(isActivePlayer).map(({ apiKey, ...rest }) => rest),
+      clock: worldClock(),
+      villages: villages.filter((v) => !v.bbox || rectsOverlap(v.bbox, { x, y, w, h })),
+      players: Array.from(players.values()).filter(isActivePlayer).map(publicPlayer),
       animals: Array.from(animals.values()),
       npcs: Array.from(npcs.values()),
       chat: chatLog,
@@ -1254,9 +4262,14 @@ setInterval(() => {
 }, 5000);
 
 // Load and autosave
-loadDefs();
+if (!loadDefs('startup', savedTileIds()).ok) process.exit(1);
+watchDefs();
 loadWorld();
+ensureNpcRoles();
+scanFluids();
+scanFalling();
 setInterval(saveWorld, SAVE_INTERVAL_MS);
+setInterval(expireDeathChests, 1000);
 process.on('SIGINT', () => {
   saveWorld();
   process.exit();
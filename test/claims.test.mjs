@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seededServer, connect, act, join, stopServer, cleanup } from './helpers.mjs';
+
+test('claims cannot lock a player out of their own chest', async () => {
+  let chest;
+  const { dir, server, creds } = await seededServer(['Owner', 'Claimer'], (meta, [owner, claimer]) => {
+    chest = { x: Math.floor(claimer.x + 0.4), y: Math.floor(claimer.y + 0.4) };
+    Object.assign(owner, { x: claimer.x, y: claimer.y, spawn: { x: (claimer.spawn.x + 200) % 900, y: 0 } });
+    meta.chests[`${chest.x},${chest.y}`] = { items: { ore: 3 }, owner: owner.id, mode: 'private', allow: [] };
+    meta.chests[`${chest.x + 6},${chest.y}`] = { items: {}, owner: owner.id, mode: 'private', allow: [] };
+    // a claim made before claims over other players' chests were refused
+    meta.claims = [{ id: 'old-claim', name: 'old claim', owner: claimer.id, faction: null, allow: [], x: chest.x - 1, y: chest.y - 1, w: 3, h: 3, createdAt: 0 }];
+  });
+  try {
+    const [owner, claimer] = await Promise.all(creds.map((c) => connect(server, c)));
+
+    const claim = await act(claimer, 'claim', { x: chest.x + 5, y: chest.y - 1, w: 3, h: 3 });
+    assert.equal(claim.type, 'error');
+    assert.equal(claim.code, 'CLAIM_OVERLAP');
+    assert.deepEqual({ x: claim.x, y: claim.y }, { x: chest.x + 6, y: chest.y });
+
+    const opened = await act(owner, 'openChest', chest);
+    assert.equal(opened.type, 'ack', JSON.stringify(opened));
+    assert.equal(opened.result.items.ore, 3);
+    owner.close();
+    claimer.close();
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
+
+test('spawn zones lapse for players who stopped playing', async () => {
+  const { dir, server, creds } = await seededServer(['Regular', 'Lapsed'], (meta, [regular, lapsed]) => {
+    lapsed.lastSeen = Date.now() - 30 * 24 * 60 * 60 * 1000;
+  });
+  const spawnZones = async () => (await (await fetch(`${server.base}/claims`)).json()).claims
+    .filter((c) => c.kind === 'spawn').map((c) => c.owner);
+  try {
+    assert.deepEqual(await spawnZones(), [creds[0].playerId]);
+    const newcomer = await join(server, 'Newcomer');
+    assert.deepEqual((await spawnZones()).sort(), [creds[0].playerId, newcomer.playerId].sort());
+    const lapsed = await connect(server, creds[1]);
+    assert.ok((await spawnZones()).includes(creds[1].playerId));
+    lapsed.close();
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
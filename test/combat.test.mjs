@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seededServer, connect, act, stopServer, cleanup } from './helpers.mjs';
+
+test('NPC kills do not count as PvP kills', async () => {
+  let npc;
+  const { dir, server, creds } = await seededServer(['Hunter'], (meta, [hunter]) => {
+    npc = meta.npcs.find((n) => !n.merchant);
+    npc.hp = 1;
+    Object.assign(hunter, { x: npc.x, y: npc.y });
+  });
+  try {
+    const hunter = await connect(server, creds[0]);
+    const hit = await act(hunter, 'attackNpc', { npcId: npc.id });
+    assert.equal(hit.result?.killed, true, JSON.stringify(hit));
+
+    const board = await (await fetch(`${server.base}/leaderboard`)).json();
+    const me = board.players.find((p) => p.id === creds[0].playerId);
+    assert.equal(me.kills, 0);
+    assert.equal(me.npcKills, 1);
+    hunter.close();
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seededServer, connect, act, editDefs, stopServer, cleanup, sleep } from './helpers.mjs';
+
+test('a craft pays out the recipe as it was when it started', async () => {
+  const { dir, server, creds } = await seededServer(['Crafter'], (meta, [crafter]) => {
+    crafter.inv = { wood: 100 };
+  }, { defs: (d) => { d.recipes.torch.timeMs = 2000; } });
+  const state = async () => (await (await fetch(`${server.base}/state?playerId=${creds[0].playerId}&apiKey=${creds[0].apiKey}`)).json()).player;
+  try {
+    let ws = await connect(server, creds[0]);
+    assert.equal((await act(ws, 'craft', { recipe: 'torch' })).type, 'ack');
+    editDefs(dir, (d) => { d.recipes.torch = { in: { wood: 50 }, out: { torch: 100 }, timeMs: 10000 }; });
+    let inv;
+    for (let i = 0; i < 20 && !(inv = (await state()).inv).torch; i++) await sleep(500);
+    assert.deepEqual(inv, { wood: 99, torch: 4 });
+
+    assert.equal((await act(ws, 'craft', { recipe: 'torch' })).type, 'ack');
+    editDefs(dir, (d) => { d.recipes.torch = { in: { wood: 1 }, out: { torch: 4 }, timeMs: 2000 }; });
+    await sleep(1000);
+    ws.close();
+    await sleep(300);
+    assert.equal((await state()).inv.wood, 99);
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
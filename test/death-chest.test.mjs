@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seededServer, connect, act, nextTick, stopServer, cleanup } from './helpers.mjs';
+
+test('a dead player can open and empty their death chest', async () => {
+  const { dir, server, creds } = await seededServer(['Victim', 'Killer'], (meta, [victim, killer]) => {
+    Object.assign(victim, { x: killer.x + 0.35, y: killer.y, spawn: killer.spawn, hp: 5, inv: { dirt: 7 } });
+  });
+  try {
+    const [victim, killer] = await Promise.all(creds.map((c) => connect(server, c)));
+    const hit = await act(killer, 'attack', { targetId: creds[0].playerId });
+    assert.equal(hit.type, 'ack', JSON.stringify(hit));
+    assert.equal(hit.result.killed, true);
+    assert.equal(hit.result.targetHp, 0);
+
+    const tick = await nextTick(victim, (t) => t.chests?.some((c) => c.items?.dirt));
+    const chest = tick.chests.find((c) => c.items?.dirt);
+    assert.ok(Number.isInteger(chest.x) && Number.isInteger(chest.y), `chest at ${chest.x},${chest.y}`);
+
+    const opened = await act(victim, 'openChest', { x: chest.x, y: chest.y });
+    assert.equal(opened.type, 'ack', JSON.stringify(opened));
+    const took = await act(victim, 'takeChest', { x: chest.x, y: chest.y, item: 'dirt', count: 7 });
+    assert.equal(took.type, 'ack', JSON.stringify(took));
+    victim.close();
+    killer.close();
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
+
+test('death chests disappear once their time is up', async () => {
+  let at;
+  const { dir, server, creds } = await seededServer(['Looter'], (meta, [looter]) => {
+    at = { x: Math.floor(looter.x + 0.4), y: Math.floor(looter.y + 0.4) };
+    const dropped = { owner: 'someone', mode: 'private', allow: [], dropped: true };
+    meta.chests[`${at.x},${at.y}`] = { ...dropped, items: { ore: 1 }, publicAt: Date.now() - 60 * 60 * 1000 };
+    meta.chests[`${at.x + 1},${at.y}`] = { ...dropped, items: { ore: 2 }, publicAt: Date.now() - 1000 };
+  });
+  try {
+    const looter = await connect(server, creds[0]);
+    await new Promise((r) => setTimeout(r, 1500));
+    const expired = await act(looter, 'openChest', at);
+    assert.equal(expired.code, 'NOT_FOUND');
+    const fresh = await act(looter, 'openChest', { x: at.x + 1, y: at.y });
+    assert.equal(fresh.type, 'ack', JSON.stringify(fresh));
+    looter.close();
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
+
+test('old fractional death chests never merge into someone else\'s chest', async () => {
+  let at;
+  const { dir, server, creds } = await seededServer(['Victim', 'Neighbour'], (meta, [victim, neighbour]) => {
+    at = { x: Math.floor(neighbour.x + 0.4), y: Math.floor(neighbour.y + 0.4) };
+    Object.assign(victim, { x: neighbour.x, y: neighbour.y });
+    // the fractional key comes first, so the placed chest is not loaded yet when it is moved
+    meta.chests = {
+      [`${at.x + 0.6},${at.y + 0.2}`]: { items: { dirt: 3 }, owner: victim.id, mode: 'private', allow: [], dropped: true, publicAt: Date.now() },
+      [`${at.x},${at.y}`]: { items: { ore: 1 }, owner: neighbour.id, mode: 'private', allow: [] },
+    };
+  });
+  try {
+    const [victim, neighbour] = await Promise.all(creds.map((c) => connect(server, c)));
+    const mine = await act(neighbour, 'openChest', at);
+    assert.deepEqual(mine.result?.items, { ore: 1 }, JSON.stringify(mine));
+    const moved = await act(victim, 'openChest', { x: at.x, y: at.y - 1 });
+    assert.deepEqual(moved.result?.items, { dirt: 3 }, JSON.stringify(moved));
+    victim.close();
+    neighbour.close();
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
@@ -0,0 +1,19 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { scratchDir, startServer, stopServer, cleanup } from './helpers.mjs';
+
+test('startup refuses defs that renumber the saved tiles', async () => {
+  const dir = scratchDir();
+  try {
+    await stopServer(await startServer(dir));
+    const defsPath = path.join(dir, 'defs.json');
+    const defs = JSON.parse(fs.readFileSync(defsPath, 'utf8'));
+    [defs.tiles.dirt.id, defs.tiles.stone.id] = [defs.tiles.stone.id, defs.tiles.dirt.id];
+    fs.writeFileSync(defsPath, JSON.stringify(defs));
+    await assert.rejects(startServer(dir), /tiles\.dirt \(id \d+\) cannot be removed or renumbered/);
+  } finally {
+    cleanup(dir);
+  }
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seededServer, connect, act, stopServer, cleanup, sleep, tileAt } from './helpers.mjs';
+
+const DIRT = 1;
+
+test('mining a support outside a claim does not drop the claimed part', async () => {
+  const { dir, server, creds } = await seededServer(['Builder'], (meta, [builder]) => {
+    Object.assign(builder, { inv: { dirt: 5 }, spawn: { x: (builder.spawn.x + 300) % 900, y: 0 } });
+  });
+  try {
+    const ws = await connect(server, creds[0]);
+    await sleep(1000);
+    const tick = ws.msgs.filter((m) => m.type === 'tick').at(-1);
+    const x = Math.floor(tick.player.x + 0.4);
+    const y = Math.floor(tick.player.y + 0.4) - 3;
+    // a support block with an arm of two blocks hanging off it inside a claim
+    for (const dx of [1, 2, 3]) {
+      const built = await act(ws, 'build', { x: x + dx, y, tile: DIRT });
+      assert.equal(built.type, 'ack', JSON.stringify(built));
+    }
+    const claim = await act(ws, 'claim', { x: x + 2, y: y - 1, w: 3, h: 3 });
+    assert.equal(claim.type, 'ack', JSON.stringify(claim));
+
+    const mined = await act(ws, 'mine', { x: x + 1, y });
+    assert.equal(mined.type, 'ack', JSON.stringify(mined));
+    await sleep(mined.result.durationMs + 1500);
+    assert.notEqual(await tileAt(server, x + 1, y), DIRT);
+    assert.equal(await tileAt(server, x + 2, y), DIRT);
+    assert.equal(await tileAt(server, x + 3, y), DIRT);
+    ws.close();
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
+
+test('falling sand rests on a torch instead of replacing it', async () => {
+  const TORCH = 18;
+  const SAND = 16;
+  const { dir, server, creds } = await seededServer(['Torchbearer'], (meta, [p]) => {
+    p.inv = { torch: 1, sand: 1 };
+  });
+  try {
+    const ws = await connect(server, creds[0]);
+    await sleep(1000);
+    const tick = ws.msgs.filter((m) => m.type === 'tick').at(-1);
+    const x = Math.floor(tick.player.x + 0.4) + 2;
+    const y = Math.floor(tick.player.y + 0.4) - 2;
+    assert.equal((await act(ws, 'build', { x, y, tile: TORCH })).type, 'ack');
+    assert.equal((await act(ws, 'build', { x, y: y - 1, tile: SAND })).type, 'ack');
+    await sleep(1000);
+    assert.equal(await tileAt(server, x, y), TORCH);
+    assert.equal(await tileAt(server, x, y - 1), SAND);
+    ws.close();
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
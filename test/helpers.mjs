@@ -0,0 +1,182 @@
+// Test helpers: run a server in a scratch directory and drive it like a client
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+let nextPort = 18000 + Math.floor(Math.random() * 2000);
+
+export function scratchDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moltwars-'));
+  fs.copyFileSync(path.join(ROOT, 'defs.json'), path.join(dir, 'defs.json'));
+  return dir;
+}
+
+// Start index.js with `dir` as its working directory (defs.json and ./data live there)
+export function startServer(dir, env = {}) {
+  const port = nextPort++;
+  const child = spawn(process.execPath, [path.join(ROOT, 'index.js')], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  const server = { child, port, base: `http://localhost:${port}`, log: '' };
+  return new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      server.log += chunk;
+      if (server.log.includes('running on')) resolve(server);
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', (code) => reject(new Error(`server exited (${code}):\n${server.log}`)));
+  });
+}
+
+// SIGINT saves the world before exiting
+export function stopServer(server) {
+  if (server.child.exitCode !== null) return Promise.resolve();
+  return new Promise((resolve) => {
+    server.child.on('exit', resolve);
+    server.child.kill('SIGINT');
+  });
+}
+
+export async function join(server, name) {
+  const r = await fetch(`${server.base}/join`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ name }),
+  });
+  return r.json();
+}
+
+// Every tick is a keyframe unless `delta` is set
+export function connect(server, creds, { delta = false } = {}) {
+  const ws = new WebSocket(`ws://localhost:${server.port}/ws?playerId=${creds.playerId}&apiKey=${creds.apiKey}${delta ? '' : '&delta=0'}`);
+  ws.msgs = [];
+  ws.on('message', (m) => ws.msgs.push(JSON.parse(m.toString())));
+  return new Promise((resolve, reject) => {
+    ws.on('open', () => resolve(ws));
+    ws.on('error', reject);
+  });
+}
+
+let reqSeq = 0;
+
+// Send an action and resolve with its ack or error reply
+export function act(ws, type, data = {}) {
+  const reqId = `t${++reqSeq}`;
+  return new Promise((resolve) => {
+    const onMessage = (m) => {
+      const msg = JSON.parse(m.toString());
+      if (msg.reqId !== reqId || (msg.type !== 'ack' && msg.type !== 'error')) return;
+      ws.off('message', onMessage);
+      resolve(msg);
+    };
+    ws.on('message', onMessage);
+    ws.send(JSON.stringify({ type, reqId, ...data }));
+  });
+}
+
+// Resolve with the next tick that satisfies `pred`
+export function nextTick(ws, pred = () => true, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      ws.off('message', onMessage);
+      reject(new Error('timed out waiting for tick'));
+    }, timeoutMs);
+    const onMessage = (m) => {
+      const msg = JSON.parse(m.toString());
+      if (msg.type !== 'tick' || !pred(msg)) return;
+      clearTimeout(timer);
+      ws.off('message', onMessage);
+      resolve(msg);
+    };
+    ws.on('message', onMessage);
+  });
+}
+
+// Rewrite the scratch defs.json in place (a running server reloads it)
+export function editDefs(dir, edit) {
+  const file = path.join(dir, 'defs.json');
+  const defs = JSON.parse(fs.readFileSync(file, 'utf8'));
+  edit(defs);
+  fs.writeFileSync(file, JSON.stringify(defs));
+}
+
+export function readMeta(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, 'data', 'meta.json'), 'utf8'));
+}
+
+export function writeMeta(dir, meta) {
+  fs.writeFileSync(path.join(dir, 'data', 'meta.json'), JSON.stringify(meta));
+}
+
+// Rewrite tiles in the saved chunks of a stopped server: edit(setTile(x, y, tile))
+export function editTiles(dir, edit) {
+  const { worldWidth: W, worldHeight: H, chunkSize: S, gen = 0 } = readMeta(dir);
+  const chunkDir = path.join(dir, 'data', 'chunks');
+  const files = new Map(); // "cx_cy" -> newest file up to meta's generation
+  for (const name of fs.readdirSync(chunkDir)) {
+    const m = /^(\d+)_(\d+)(?:\.(\d+))?\.bin$/.exec(name);
+    const g = Number(m?.[3] || 0);
+    if (m && g <= gen && !(files.get(`${m[1]}_${m[2]}`)?.g > g)) files.set(`${m[1]}_${m[2]}`, { name, g });
+  }
+  const chunks = new Map(); // "cx_cy" -> {file, w, tiles}
+  const chunkAt = (cx, cy) => {
+    const key = `${cx}_${cy}`;
+    if (!chunks.has(key)) {
+      const file = path.join(chunkDir, files.get(key).name);
+      const buf = fs.readFileSync(file);
+      const tiles = [];
+      for (let i = 0; i < buf.length; i += 2) for (let k = 0; k < buf[i]; k++) tiles.push(buf[i + 1]);
+      chunks.set(key, { file, w: Math.min(S, W - cx * S), tiles });
+    }
+    return chunks.get(key);
+  };
+  edit((x, y, tile) => {
+    if (x < 0 || y < 0 || x >= W || y >= H) return;
+    const c = chunkAt(Math.floor(x / S), Math.floor(y / S));
+    c.tiles[(y % S) * c.w + (x % S)] = tile;
+  });
+  for (const { file, tiles } of chunks.values()) {
+    const out = [];
+    for (const t of tiles) {
+      if (out.length && out.at(-1) === t && out.at(-2) < 255) out[out.length - 2]++;
+      else out.push(1, t);
+    }
+    fs.writeFileSync(file, Buffer.from(out));
+  }
+}
+
+// Join the named players, save, let `edit` rewrite the save (and `tiles` its chunks),
+// then restart on it
+export async function seededServer(names, edit, { defs, tiles } = {}) {
+  const dir = scratchDir();
+  if (defs) editDefs(dir, defs);
+  let server = await startServer(dir);
+  const creds = [];
+  for (const name of names) creds.push(await join(server, name));
+  await stopServer(server);
+  const meta = readMeta(dir);
+  edit(meta, creds.map((c) => meta.players.find((p) => p.id === c.playerId)));
+  writeMeta(dir, meta);
+  if (tiles) editTiles(dir, tiles);
+  server = await startServer(dir);
+  return { dir, server, creds };
+}
+
+export function cleanup(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Tile id at (x, y) from the full /world snapshot
+export async function tileAt(server, x, y) {
+  const world = await (await fetch(`${server.base}/world`)).json();
+  return world.tiles[y * world.worldWidth + x];
+}
+
+export const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seededServer, connect, act, stopServer, cleanup } from './helpers.mjs';
+
+test('merchants pay sellers from their own coins', async () => {
+  let merchant;
+  const { dir, server, creds } = await seededServer(['Seller'], (meta, [seller]) => {
+    merchant = meta.npcs.find((n) => n.merchant);
+    merchant.inv = { coin: 5 };
+    Object.assign(seller, { x: merchant.x, y: merchant.y, inv: { ore: 5 } });
+  });
+  try {
+    const seller = await connect(server, creds[0]);
+    const npcId = merchant.id;
+
+    const tooMuch = await act(seller, 'shopSell', { npcId, item: 'ore', count: 5 });
+    assert.equal(tooMuch.code, 'MERCHANT_NO_FUNDS', JSON.stringify(tooMuch));
+
+    const sold = await act(seller, 'shopSell', { npcId, item: 'ore', count: 1 });
+    assert.equal(sold.type, 'ack', JSON.stringify(sold));
+    const list = await act(seller, 'shopList', { npcId });
+    assert.equal(list.result.funds, 5 - sold.result.paid);
+    seller.close();
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
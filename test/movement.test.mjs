@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { scratchDir, startServer, seededServer, join, connect, act, stopServer, cleanup, sleep } from './helpers.mjs';
+
+const SKY = 6;
+const DIRT = 1;
+const FLOOR = 16; // top row of a floating dirt slab, well above any generated surface
+
+// open sky over a flat slab from x0 to x0 + 15
+function flatArena(setTile, x0) {
+  for (let x = x0; x < x0 + 16; x++) for (let y = 4; y < 24; y++) setTile(x, y, y >= FLOOR ? DIRT : SKY);
+}
+
+test('move only takes dy -1 or 0', async () => {
+  const dir = scratchDir();
+  const server = await startServer(dir);
+  try {
+    const ws = await connect(server, await join(server, 'Walker'));
+    assert.equal((await act(ws, 'move', { dx: 1, dy: 1 })).code, 'BAD_REQUEST');
+    assert.equal((await act(ws, 'move', { dx: 0, dy: 0 })).type, 'ack');
+    ws.close();
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
+
+test('a jump peaks at jumpVy and gravity, and a 6-tile fall costs what is past safeFall', async () => {
+  let x0;
+  const { dir, server, creds } = await seededServer(['Jumper', 'Faller'], (meta, [jumper, faller]) => {
+    x0 = (jumper.spawn.x + 300) % 900;
+    Object.assign(jumper, { x: x0 + 2.1, y: FLOOR - 0.8, hp: 100 });
+    Object.assign(faller, { x: x0 + 8.1, y: FLOOR - 0.8 - 6, hp: 100 });
+  }, { tiles: (setTile) => flatArena(setTile, x0) });
+  const { physics } = await (await fetch(`${server.base}/protocol`)).json();
+  try {
+    const jumper = await connect(server, creds[0]);
+    const faller = await connect(server, creds[1]);
+    const state = async (c) => (await (await fetch(`${server.base}/state?playerId=${c.playerId}&apiKey=${c.apiKey}`)).json()).player;
+    let landed;
+    for (let i = 0; i < 20 && (landed = await state(creds[1])).y !== FLOOR - 0.8; i++) await sleep(250);
+    assert.equal(landed.y, FLOOR - 0.8);
+    assert.equal(landed.hp, 100 - (6 - physics.safeFall) * physics.fallDamage);
+
+    let rise = 0;
+    for (let vy = -physics.jumpVy; vy < 0; vy += physics.gravity) rise -= vy;
+    const seq = jumper.msgs.filter((m) => m.type === 'tick').at(-1).seq;
+    assert.equal((await act(jumper, 'jump')).type, 'ack');
+    await sleep(2500);
+    const ys = jumper.msgs.filter((m) => m.type === 'tick' && m.seq > seq).map((t) => t.player.y);
+    assert.ok(Math.abs(FLOOR - 0.8 - Math.min(...ys) - rise) < 0.01, `peak ${Math.min(...ys)}, expected a rise of ${rise}`);
+    assert.equal(ys.at(-1), FLOOR - 0.8);
+    jumper.close();
+    faller.close();
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { scratchDir, startServer, seededServer, join, stopServer, cleanup, sleep } from './helpers.mjs';
+
+test('GET /path needs a player and is rate limited per player', async () => {
+  const dir = scratchDir();
+  const server = await startServer(dir);
+  try {
+    const me = await join(server, 'Pathfinder');
+    const url = (q) => `${server.base}/path?toX=${me.spawn.x + 1}&toY=${me.spawn.y}${q}`;
+    assert.equal((await fetch(url('&x=0&y=0'))).status, 401);
+    assert.equal((await fetch(url(`&playerId=${me.playerId}&apiKey=wrong`))).status, 401);
+
+    const auth = `&playerId=${me.playerId}&apiKey=${me.apiKey}`;
+    const first = await fetch(url(`${auth}&x=0&y=0`));
+    assert.notEqual(first.status, 401);
+    const body = await first.json();
+    if (first.status === 200) assert.notDeepEqual(body.from, { x: 0, y: 0 });
+    const second = await fetch(url(auth));
+    assert.equal(second.status, 429);
+    assert.ok((await second.json()).retryInMs > 0);
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
+
+test('GET /path steps up one block and drops off a ledge, but not over a taller wall', async () => {
+  const SKY = 6;
+  const DIRT = 1;
+  let x0;
+  // floor at y 16 to x0 + 6 with a one-block bump at x0 + 4, then a 3-tile drop to
+  // y 19 and a two-block wall at x0 + 10
+  const floor = (x) => (x <= x0 + 6 ? 16 : 19);
+  const { dir, server, creds } = await seededServer(['Walker'], (meta, [walker]) => {
+    x0 = (walker.spawn.x + 300) % 900;
+    Object.assign(walker, { x: x0 + 2.1, y: 15.2 });
+  }, {
+    tiles: (setTile) => {
+      for (let x = x0; x < x0 + 16; x++) for (let y = 4; y < 24; y++) setTile(x, y, y >= floor(x) ? DIRT : SKY);
+      setTile(x0 + 4, 15, DIRT);
+      setTile(x0 + 10, 18, DIRT);
+      setTile(x0 + 10, 17, DIRT);
+    },
+  });
+  const me = creds[0];
+  const path = async (toX, toY) => fetch(`${server.base}/path?playerId=${me.playerId}&apiKey=${me.apiKey}&toX=${toX}&toY=${toY}`);
+  try {
+    const found = await path(x0 + 8, 18);
+    assert.equal(found.status, 200);
+    const steps = (await found.json()).path.map(({ x, y }) => `${x - x0},${y}`);
+    assert.ok(steps.includes('4,14'), `steps onto the bump: ${steps}`);
+    assert.ok(steps.includes('7,18'), `drops off the ledge: ${steps}`);
+    assert.equal(steps.at(-1), '8,18');
+
+    await sleep(1100);
+    assert.equal((await path(x0 + 12, 18)).status, 404);
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { scratchDir, startServer, stopServer, join, readMeta, writeMeta, tileAt, cleanup } from './helpers.mjs';
+
+const DIRT = 1;
+// a full 32x32 chunk of dirt, run-length encoded
+const DIRT_CHUNK = Buffer.from([255, DIRT, 255, DIRT, 255, DIRT, 255, DIRT, 4, DIRT]);
+
+test('chunks from a save that never wrote its meta.json are ignored', async () => {
+  const dir = scratchDir();
+  const chunks = path.join(dir, 'data', 'chunks');
+  try {
+    let server = await startServer(dir);
+    await join(server, 'Saver');
+    const before = await tileAt(server, 0, 0);
+    assert.notEqual(before, DIRT);
+    await stopServer(server);
+
+    const { gen } = readMeta(dir);
+    const stale = path.join(chunks, `0_0.${gen + 1}.bin`);
+    fs.writeFileSync(stale, DIRT_CHUNK);
+    server = await startServer(dir);
+    assert.equal(await tileAt(server, 0, 0), before);
+    assert.ok(!fs.existsSync(stale));
+    await stopServer(server);
+    assert.ok(readMeta(dir).gen > gen);
+    assert.equal(fs.readdirSync(chunks).filter((f) => f.startsWith('0_0.')).length, 1);
+  } finally {
+    cleanup(dir);
+  }
+});
+
+test('version 2 saves with unstamped chunk files still load', async () => {
+  const dir = scratchDir();
+  const chunks = path.join(dir, 'data', 'chunks');
+  try {
+    let server = await startServer(dir);
+    const before = await tileAt(server, 0, 0);
+    await stopServer(server);
+
+    for (const f of fs.readdirSync(chunks)) fs.renameSync(path.join(chunks, f), path.join(chunks, f.replace(/\.\d+\.bin$/, '.bin')));
+    const meta = readMeta(dir);
+    delete meta.gen;
+    meta.version = 2;
+    writeMeta(dir, meta);
+    server = await startServer(dir);
+    assert.equal(await tileAt(server, 0, 0), before);
+    await stopServer(server);
+  } finally {
+    cleanup(dir);
+  }
+});
@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seededServer, connect, stopServer, cleanup, sleep } from './helpers.mjs';
+
+test('other players are sent with public fields only, and not re-sent while idle', async () => {
+  const { dir, server, creds } = await seededServer(['Watcher', 'Idler'], (meta, [watcher, idler]) => {
+    Object.assign(watcher, { x: idler.x, y: idler.y });
+  });
+  try {
+    const idler = await connect(server, creds[1]);
+    const watcher = await connect(server, creds[0], { delta: true });
+    await sleep(2000); // let both bodies settle
+    const ticks = watcher.msgs.filter((m) => m.type === 'tick');
+    const entered = ticks.flatMap((t) => [...(t.players || []), ...(t.enter || [])])
+      .find((e) => e.id === creds[1].playerId);
+    assert.ok(entered, 'idler is in view');
+    for (const k of ['apiKey', 'inv', 'stats', 'lastSeen', 'spawn', 'vx', 'moveX']) assert.ok(!(k in entered), `leaks ${k}`);
+
+    const seq = ticks.at(-1).seq;
+    await sleep(1000);
+    const idle = watcher.msgs.filter((m) => m.type === 'tick' && m.seq > seq);
+    assert.ok(idle.length > 0);
+    assert.deepEqual(idle.flatMap((t) => t.update || []).filter((u) => u.id === creds[1].playerId), []);
+    watcher.close();
+    idler.close();
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});
@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seededServer, connect, act, stopServer, cleanup } from './helpers.mjs';
+
+test('escrow unequips the offered item, and accepting past a stack size fails', async () => {
+  const { dir, server, creds } = await seededServer(['Smith', 'Buyer'], (meta, [smith, buyer]) => {
+    Object.assign(smith, { inv: { sword: 1 }, active: 'sword' });
+    Object.assign(buyer, { x: smith.x, y: smith.y, inv: { sword: 1, wood: 5 } });
+  });
+  const state = async (c) => (await (await fetch(`${server.base}/state?playerId=${c.playerId}&apiKey=${c.apiKey}`)).json()).player;
+  try {
+    const smith = await connect(server, creds[0]);
+    const buyer = await connect(server, creds[1]);
+    const offer = await act(smith, 'tradeOffer', { targetId: creds[1].playerId, give: { sword: 1 }, want: { wood: 5 } });
+    assert.equal(offer.type, 'ack', JSON.stringify(offer));
+    assert.equal((await state(creds[0])).active, null);
+
+    const accept = await act(buyer, 'tradeAccept', { tradeId: offer.result.trade.id });
+    assert.equal(accept.code, 'STACK_FULL', JSON.stringify(accept));
+    assert.deepEqual((await state(creds[1])).inv, { sword: 1, wood: 5 });
+    smith.close();
+    buyer.close();
+  } finally {
+    await stopServer(server);
+    cleanup(dir);
+  }
+});